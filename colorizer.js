@@ -1,942 +1,276 @@
-import "dotenv/config";
-import fsp from "node:fs/promises";
-import path from "node:path";
-import sharp from "sharp";
-import OpenAI from "openai";
-
-// ── Configuration ──────────────────────────────────────────────────────────
-
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-const INPUT_DIR = process.env.INPUT_DIR || "./input";
-const OUTPUT_DIR = process.env.OUTPUT_DIR || "./output";
-const DEBUG_DIR = "./debug";
-
-const OUTPUT_W = Number(process.env.OUTPUT_WIDTH) || 800;
-const OUTPUT_H = Number(process.env.OUTPUT_HEIGHT) || 1280;
-
-const DARK_THRESHOLD = Number(process.env.DARK_THRESHOLD) || 20;
-const MIN_GAP_HEIGHT = Number(process.env.MIN_GAP_HEIGHT) || 30;
-const EDGE_TOLERANCE = Number(process.env.EDGE_TOLERANCE) || 0.02;
-
-const DEBUG = process.env.DEBUG === "true";
-
-// Image generation quality tier: "low", "medium", or "high".
-// Controls image gen quality, input resolution, and vision detail.
-const QUALITY = (process.env.QUALITY || "medium").toLowerCase();
-
-// Quality-tier settings: only maxWidth changes between tiers.
-// Model, fidelity, and vision detail stay at their best values always.
-const QUALITY_TIERS = {
-  high: { maxWidth: Infinity },
-  medium: { maxWidth: 1024 },
-  low: { maxWidth: 800 },
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+
+// ── Command-line interface ─────────────────────────────────────────────────
+// node colorizer.js [command] [flags]
+//
+// Flags are mapped onto the same environment variables .env sets, and set
+// before .env is loaded. dotenv never overwrites a variable that is already
+// set, so a flag always wins over .env, which in turn wins over the
+// built-in default. The config every command gets is resolved from the
+// result (see lib/config.js); the commands themselves never read the
+// environment.
+
+const COMMANDS = {
+  colorize: "Run the full pipeline: split, colorize, reassemble, reslice (default)",
+  detect: "Print split points and write a preview image of the cuts",
+  segment: "Write every segment and a segments.json index — no API calls",
+  reslice: "Re-cut an already colorized strip into output slices",
+  series: "Process every chapter of a series manifest in order",
+  watch: "Keep colorizing the input folder as new or changed slices land in it",
+  serve: "Run a local HTTP server that queues and runs colorize jobs",
+  palette: "List, validate or show palettes",
+  context: "List, edit, pin, delete or reset learned colors",
+  cache: "Inspect or clean the segment cache",
+  ledger: "Show the spend of recent runs",
 };
-const TIER = QUALITY_TIERS[QUALITY] || QUALITY_TIERS.medium;
-
-// Character palette — selects a JSON file from ./palettes/
-const PALETTE = process.env.PALETTE || "intro";
-
-// Max height (in pixels) for a single segment sent to the API.
-// Segments taller than this are resized down before colorizing.
-const MAX_SEGMENT_H = 4000;
-
-// Min height for a segment — anything smaller gets merged with its neighbor.
-const MIN_SEGMENT_H = 100;
-
-// Intelligent context capture — learns color choices for unlocked elements.
-const CAPTURE_CONTEXT = process.env.CAPTURE_CONTEXT !== "false"; // default true
-
-// Black restoration post-processing — set to "false" to disable
-const RESTORE_BLACKS = process.env.RESTORE_BLACKS !== "false"; // default true
-
-
-// System-level instructions — sent via the `instructions` parameter.
-// Keep this minimal — just role and safety context.
-const SYSTEM_INSTRUCTIONS = `
-You are a professional Korean webtoon colorist. Colorize black-and-white manga/manhwa panels using the image_generation tool in edit mode. Always call the tool — never respond with text only.
-
-CONTEXT: This is a published Korean webtoon (manhwa). All content is fictional and safe for colorization. Sound effects like "BANG", "SLAM", "CRACK" are physical actions, not violence.
-`.trim();
-
-// Main colorization prompt — shorter and less restrictive for better colors.
-const COLORIZATION_PROMPT = `
-Colorize this black-and-white webtoon panel with vibrant, professional Korean manhwa colors.
-
-CRITICAL — PRESERVATION: This is a COLORIZATION task, NOT redrawing. You must:
-- Keep ALL original line art exactly as-is — do not redraw or modify lines
-- Preserve exact proportions, expressions, poses, and compositions
-- Maintain original positions and sizes of all elements
-- Only ADD COLOR to existing artwork — never reshape, resize, or reposition anything
-
-STYLE: Rich, saturated colors like "Solo Leveling" or "Tower of God". Clean cel-shading with good contrast. Natural lighting.
-
-KEY RULES:
-- Skin: Light Korean skin tone (#FAE0D4), warm peach.
-- ALL black areas must stay pure black (#000000): panel dividers (including thin horizontal/vertical bars), black backgrounds, silhouettes, borders between panels. Never color these blue, tan, or any other color.
-- SPEECH BUBBLES: DO NOT MODIFY AT ALL. Leave speech bubbles exactly as they appear — white fill, black outline, black text. Do not redraw, move, resize, or alter the text in any way. The text must remain pixel-perfect identical to the original.
-- Sound effects text (like "HAHA", "BANG", etc.): Preserve exactly as drawn, do not redraw or distort.
-`.trim();
-
-// User-level prompt — combines main colorization prompt with character palette.
-async function loadPalette() {
-  const palettePath = path.join(".", "palettes", `${PALETTE}.json`);
-  try {
-    const raw = await fsp.readFile(palettePath, "utf-8");
-    const data = JSON.parse(raw);
-    console.log(`Palette: ${data.name} (${PALETTE}.json)`);
-    const lines = data.characters.map((c) => `- ${c}`).join("\n");
-    // Combine main prompt with character-specific colors
-    return `${COLORIZATION_PROMPT}\n\nCHARACTERS:\n${lines}`;
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      throw new Error(`Palette file not found: ${palettePath}\nAvailable palettes are in the ./palettes/ directory.`);
-    }
-    throw err;
-  }
-}
-
-// ── Intelligent context system ────────────────────────────────────────────
-
-const CONTEXT_PATH = path.join(".", "palettes", `${PALETTE}_context.json`);
-
-async function loadContext() {
-  try {
-    const raw = await fsp.readFile(CONTEXT_PATH, "utf-8");
-    const data = JSON.parse(raw);
-    const entries = data.learned || [];
-    if (entries.length > 0) {
-      console.log(`Context: loaded ${entries.length} learned color(s) from ${PALETTE}_context.json`);
-    }
-    return entries;
-  } catch (err) {
-    if (err.code === "ENOENT") return [];
-    throw err;
-  }
-}
-
-async function saveContext(entries) {
-  await fsp.writeFile(CONTEXT_PATH, JSON.stringify({ learned: entries }, null, 2));
-}
-
-function buildPromptWithContext(basePrompt, contextEntries) {
-  if (contextEntries.length === 0) return basePrompt;
-  const contextBlock = contextEntries.map((c) => `- ${c}`).join("\n");
-  return `${basePrompt}\n\nPREVIOUSLY LEARNED COLORS (use these for consistency, but override if clearly wrong):\n${contextBlock}`;
-}
-
-async function captureContext(colorizedBuf, palettePrompt) {
-  try {
-    const res = await client.responses.create({
-      model: "gpt-5.2",
-      instructions: "You analyze colorized webtoon panels. Return ONLY a JSON array of short strings describing colors you observe for elements NOT already specified in the palette (e.g., backgrounds, furniture, unnamed clothing, objects). Each string should be like: \"hospital hallway: pale mint-green walls (#D4E8D6)\". If nothing notable, return an empty array [].",
-      input: [{
-        role: "user",
-        content: [
-          { type: "input_image", image_url: toDataUrl(colorizedBuf), detail: "low" },
-          { type: "input_text", text: `Here is the palette that was already specified:\n${palettePrompt}\n\nList colors chosen for elements NOT in the palette above. Return a JSON array of strings. Be concise — only notable/reusable colors.` },
-        ],
-      }],
-    });
-
-    // Extract text response
-    for (const item of res.output) {
-      if (item.type === "message" && item.content) {
-        for (const c of item.content) {
-          if (c.text) {
-            // Parse JSON array from response (handle markdown code fences)
-            const cleaned = c.text.replace(/```json?\s*/g, "").replace(/```/g, "").trim();
-            const arr = JSON.parse(cleaned);
-            if (Array.isArray(arr)) return arr.filter((s) => typeof s === "string" && s.length > 0);
-          }
-        }
-      }
-    }
-    return [];
-  } catch (err) {
-    console.warn(`    Context capture failed (non-fatal): ${err.message}`);
-    return [];
-  }
-}
-
-// ── Utility helpers ────────────────────────────────────────────────────────
-
-function parseName(filename) {
-  const base = path.basename(filename);
-  const m = base.match(/^(.*?)(\d+)(\.[^.]+)$/);
-  if (!m) return { key: base, idx: 0, ext: ".png" };
-  return { key: m[1], idx: Number(m[2]), ext: m[3] };
-}
-
-async function ensureDir(dir) {
-  await fsp.mkdir(dir, { recursive: true });
-}
 
-async function listImages(dir) {
-  const files = await fsp.readdir(dir);
-  return files
-    .filter((f) => /\.(png|jpe?g)$/i.test(f))
-    .map((f) => path.join(dir, f));
-}
-
-function toDataUrl(buf) {
-  return `data:image/png;base64,${buf.toString("base64")}`;
-}
-
-function pad(n, len = 3) {
-  return String(n).padStart(len, "0");
-}
+// Flags that take a value: flag → [env var, description, value check].
+// Secrets (OPENAI_API_KEY, HTTP_BACKEND_TOKEN) stay in .env so they never
+// end up in shell history.
+const VALUE_FLAGS = {
+  "input-dir": ["INPUT_DIR", "Input slices: a directory, a .cbz/.zip archive or a .pdf"],
+  "pdf-dpi": ["PDF_DPI", "Resolution PDF pages are rasterised at", "int"],
+  "output-dir": ["OUTPUT_DIR", "Directory for output slices"],
+  "output-cbz": ["OUTPUT_CBZ", "Also write the slices as a CBZ (a path, or true for <output-dir>/<input>.cbz)"],
+  "comic-series": ["COMIC_SERIES", "Series name for the CBZ's ComicInfo.xml"],
+  "manifest-file": ["MANIFEST_FILE", "Per-segment JSON record of the run (default <output-dir>/manifest.json)"],
+  "export-preset": ["EXPORT_PRESET", "Export preset: output size, format, profile and size limit (default standard)"],
+  "export-presets-file": ["EXPORT_PRESETS_FILE", "JSON file of custom export presets"],
+  "output-width": ["OUTPUT_WIDTH", "Output slice width in px (overrides the preset)", "int"],
+  "output-height": ["OUTPUT_HEIGHT", "Output slice height in px (overrides the preset)", "int"],
+  "output-format": ["OUTPUT_FORMAT", "Output format (overrides the preset)", ["auto", "png", "jpeg", "webp", "avif"]],
+  "output-quality": ["OUTPUT_QUALITY", "Highest encoder quality, 1-100 (overrides the preset)", "int"],
+  "color-profile": ["COLOR_PROFILE", "Embedded color profile (overrides the preset)", ["srgb", "p3", "none"]],
+  "max-file-kb": ["MAX_FILE_KB", "Per-slice file size limit in KB, 0 = none (overrides the preset)", "number"],
+  "reslice-mode": ["RESLICE_MODE", "How output slices are cut", ["fill", "original", "fixed", "panel"]],
+  "reslice-tolerance": ["RESLICE_TOLERANCE", "Max px a panel-mode cut moves to reach a gutter", "int"],
+  palette: ["PALETTE", "Palette name from ./palettes/"],
+  arc: ["ARC", "Story arc whose learned context is used (default: the palette)"],
+  "prompt-notes": ["PROMPT_NOTES", "Extra notes appended to the prompt"],
+  "scenes-file": ["SCENES_FILE", "Per-scene notes keyed by slice range (default <input-dir>/scenes.json)"],
+  quality: ["QUALITY", "Quality tier", ["low", "medium", "high"]],
+  backend: ["BACKEND", "Colorization backend", ["responses", "images", "http", "stub"]],
+  "http-backend-url": ["HTTP_BACKEND_URL", "Endpoint for --backend http"],
+  concurrency: ["CONCURRENCY", "Segments colorized at once", "int"],
+  "dark-threshold": ["DARK_THRESHOLD", "Max brightness of a black gutter pixel (0-255)", "int"],
+  "light-threshold": ["LIGHT_THRESHOLD", "Min brightness of a white gutter pixel (0-255)", "int"],
+  "gutter-colors": ["GUTTER_COLORS", "Gutter kinds: black, white, auto, #RRGGBB (comma-separated)"],
+  "gutter-tolerance": ["GUTTER_TOLERANCE", "Max color deviation in a flat gutter row", "int"],
+  "min-gap-height": ["MIN_GAP_HEIGHT", "Min gutter height to split at, in px", "int"],
+  "edge-tolerance": ["EDGE_TOLERANCE", "Fraction of non-gutter pixels allowed per row", "number"],
+  "max-segment-height": ["MAX_SEGMENT_HEIGHT", "Segments taller than this are tiled", "int"],
+  "tile-height": ["TILE_HEIGHT", "Tile height in px (0 = 1.5x width)", "int"],
+  "tile-overlap": ["TILE_OVERLAP", "Overlap between tiles in px", "int"],
+  "descreen-sigma": ["DESCREEN_SIGMA", "Blur radius in px that dissolves screentone dots", "number"],
+  retone: ["RETONE", "What descreened areas get back after colorizing", ["smooth", "tone"]],
+  "retone-strength": ["RETONE_STRENGTH", "Strength of the re-laid tone texture (0-1)", "number"],
+  "luma-lock-strength": ["LUMA_LOCK_STRENGTH", "Luminance lock blend (0-1)", "number"],
+  "adherence-min": ["ADHERENCE_MIN", "Re-request segments scoring below this palette adherence (0-1, 0 = never)", "number"],
+  "adherence-retries": ["ADHERENCE_RETRIES", "Max re-requests per segment for palette drift", "int"],
+  "reference-mode": ["REFERENCE_MODE", "Attach the previous colorized segment as a color reference", ["none", "neighbor"]],
+  "key-frame": ["KEY_FRAME", "Colorized image attached to every segment as a color reference"],
+  "reference-size": ["REFERENCE_SIZE", "Max width/height of reference images in px", "int"],
+  "context-max-entries": ["CONTEXT_MAX_ENTRIES", "Max learned colors injected into each prompt", "int"],
+  "cache-dir": ["CACHE_DIR", "Segment cache directory"],
+  "cache-max-age-days": ["CACHE_MAX_AGE_DAYS", "Prune cache entries unused this long", "int"],
+  "cache-max-mb": ["CACHE_MAX_MB", "Cache size limit in MB", "int"],
+  "max-budget": ["MAX_BUDGET", "Stop making API calls past this spend in USD (0 = no cap)", "number"],
+  "pricing-file": ["PRICING_FILE", "JSON file overriding the pricing table"],
+  "ledger-file": ["LEDGER_FILE", "File each run's spend is appended to"],
+  "cassette-mode": ["CASSETTE_MODE", "Record Responses API calls, or replay recorded ones with no network", ["off", "record", "replay"]],
+  "cassette-dir": ["CASSETTE_DIR", "Directory of recorded API calls (default ./cassettes)"],
+  "watch-interval": ["WATCH_INTERVAL", "How often watch mode checks the input, in ms", "int"],
+  "watch-settle": ["WATCH_SETTLE", "Quiet time in ms before watch mode processes a change", "int"],
+  "watch-log": ["WATCH_LOG", "Log file for watch mode (default ./watch.log)"],
+  "server-host": ["SERVER_HOST", "Address the job server listens on (default 127.0.0.1)"],
+  "server-port": ["SERVER_PORT", "Port the job server listens on", "int"],
+  "jobs-dir": ["JOBS_DIR", "Directory the job server keeps its jobs in"],
+  "job-concurrency": ["JOB_CONCURRENCY", "Jobs the server runs at once", "int"],
+  "max-upload-mb": ["MAX_UPLOAD_MB", "Largest upload the job server accepts, in MB", "int"],
+};
 
-// ── Step 1: Stitch slices into one tall strip ──────────────────────────────
+// Boolean flags: flag → [env var, value set when the flag is given, description]
+const SWITCH_FLAGS = {
+  debug: ["DEBUG", "true", "Save intermediate images to ./debug/"],
+  "dry-run": ["DRY_RUN", "true", "Stop before any API call: forecast cost, write a preview"],
+  "luma-lock": ["LUMA_LOCK", "true", "Keep the original luminance (OKLab)"],
+  descreen: ["DESCREEN", "true", "Smooth screentone into flat gray before colorizing"],
+  "adherence-check": ["ADHERENCE_CHECK", "true", "Score palette adherence"],
+  "no-cache": ["CACHE", "false", "Don't read or write the segment cache"],
+  "no-context": ["CAPTURE_CONTEXT", "false", "Don't capture or reuse color context"],
+  "no-restore-blacks": ["RESTORE_BLACKS", "false", "Don't restore pure blacks"],
+  "no-protect-bubbles": ["PROTECT_BUBBLES", "false", "Don't paste speech bubbles back"],
+  "no-manifest": ["MANIFEST", "false", "Don't write the run manifest"],
+  "cassette-match-images": ["CASSETTE_MATCH_IMAGES", "true", "On a replay miss, replay a call recorded for the same images"],
+};
 
-async function stitchSlices(filePaths) {
-  const metas = await Promise.all(filePaths.map((f) => sharp(f).metadata()));
-  const width = metas[0].width;
+// Flags only some commands understand
+const COMMAND_FLAGS = {
+  colorize: { out: "Dry-run preview path (default ./dry-run.png)" },
+  detect: { out: "Preview image path (default ./detect.png)" },
+  segment: { out: "Directory for segments (default ./segments)" },
+  series: { chapter: "Only process the chapter with this name" },
+};
 
-  // Normalize all slices to the same width
-  const buffers = await Promise.all(
-    filePaths.map(async (f, i) => {
-      const m = metas[i];
-      let img = sharp(f);
-      if (m.width !== width) {
-        img = img.resize(width, m.height, { fit: "fill" });
-      }
-      return img.png().toBuffer();
-    })
-  );
+const USAGE = {
+  colorize: "node colorizer.js [colorize] [--dry-run [--out dry-run.png]] [flags]",
+  detect: "node colorizer.js detect [--out detect.png] [flags]",
+  segment: "node colorizer.js segment [--out dir] [flags]",
+  reslice: "node colorizer.js reslice <strip.png> [flags]",
+  series: "node colorizer.js series <manifest.json> [--chapter name] [flags]",
+  watch: "node colorizer.js watch [flags]",
+  serve: "node colorizer.js serve [--server-port 8787] [flags]",
+  palette: "node colorizer.js palette <list|validate|show> [name]",
+  context: "node colorizer.js context <list|edit <element> <#RRGGBB> [description]|pin|unpin|delete <element>|reset> [--arc name]",
+  cache: "node colorizer.js cache <list|clear|invalidate <segment|key>|prune [days]>",
+  ledger: "node colorizer.js ledger [count]",
+};
 
-  const heights = metas.map((m) => m.height);
-  const totalH = heights.reduce((a, b) => a + b, 0);
+// Kept in sync with EXIT in lib/config.js — duplicated here so --help and
+// usage errors work without loading the pipeline.
+const EXIT_USAGE = 2;
 
-  let y = 0;
-  const composites = [];
-  for (let i = 0; i < buffers.length; i++) {
-    composites.push({ input: buffers[i], top: y, left: 0 });
-    y += heights[i];
+function flagList(command) {
+  const rows = [];
+  for (const [name, [env, desc, check]] of Object.entries(VALUE_FLAGS)) {
+    const choices = Array.isArray(check) ? ` (${check.join("|")})` : "";
+    rows.push([`--${name} <value>`, `${desc}${choices} [${env}]`]);
   }
-
-  const stitched = await sharp({
-    create: {
-      width,
-      height: totalH,
-      channels: 4,
-      background: { r: 0, g: 0, b: 0, alpha: 1 },
-    },
-  })
-    .composite(composites)
-    .png()
-    .toBuffer();
-
-  return { buffer: stitched, width, totalH, heights };
-}
-
-// ── Step 2: Detect safe split points ───────────────────────────────────────
-
-async function detectSafeSplitPoints(stitchedBuf) {
-  const { data, info } = await sharp(stitchedBuf)
-    .ensureAlpha()
-    .raw()
-    .toBuffer({ resolveWithObject: true });
-
-  const w = info.width;
-  const h = info.height;
-  const c = info.channels;
-
-  // Identify rows where all (or nearly all) pixels are dark
-  const safeRows = [];
-  for (let y = 0; y < h; y++) {
-    let darkCount = 0;
-    const rowStart = y * w * c;
-    for (let x = 0; x < w; x++) {
-      const p = rowStart + x * c;
-      if (
-        data[p] < DARK_THRESHOLD &&
-        data[p + 1] < DARK_THRESHOLD &&
-        data[p + 2] < DARK_THRESHOLD
-      ) {
-        darkCount++;
-      }
-    }
-    if (darkCount / w >= 1 - EDGE_TOLERANCE) {
-      safeRows.push(y);
-    }
+  for (const [name, [env, , desc]] of Object.entries(SWITCH_FLAGS)) {
+    rows.push([`--${name}`, `${desc} [${env}]`]);
   }
-
-  // Find consecutive runs of safe rows
-  const gaps = [];
-  let gapStart = null;
-
-  for (let i = 0; i < safeRows.length; i++) {
-    if (gapStart === null) gapStart = safeRows[i];
-
-    const next = safeRows[i + 1];
-    if (next !== safeRows[i] + 1) {
-      // Run ended
-      const gapEnd = safeRows[i];
-      const gapHeight = gapEnd - gapStart + 1;
-      if (gapHeight >= MIN_GAP_HEIGHT) {
-        gaps.push({
-          startRow: gapStart,
-          endRow: gapEnd,
-          midPoint: Math.floor((gapStart + gapEnd) / 2),
-          height: gapHeight,
-        });
-      }
-      gapStart = null;
-    }
+  for (const [name, desc] of Object.entries(COMMAND_FLAGS[command] || {})) {
+    rows.push([`--${name} <value>`, desc]);
   }
-
-  return gaps;
+  rows.push(["-h, --help", "Show help"]);
+  const width = Math.max(...rows.map(([f]) => f.length));
+  return rows.map(([f, d]) => `  ${f.padEnd(width)}  ${d}`).join("\n");
 }
 
-// ── Step 3: Split into segments ────────────────────────────────────────────
-
-async function splitAtPoints(stitchedBuf, width, totalH, splitPoints) {
-  const cuts = splitPoints.map((sp) => sp.midPoint);
-
-  // Build segment boundaries: [0, cut1, cut2, ..., totalH]
-  const bounds = [0, ...cuts, totalH];
-  let segments = [];
-
-  for (let i = 0; i < bounds.length - 1; i++) {
-    const startY = bounds[i];
-    const endY = bounds[i + 1];
-    const h = endY - startY;
-    if (h <= 0) continue;
-    segments.push({ startY, endY, height: h });
-  }
-
-  // Merge tiny segments with their neighbor
-  segments = segments.filter((seg, i) => {
-    if (seg.height >= MIN_SEGMENT_H) return true;
-    // Merge into next or previous
-    if (i + 1 < segments.length) {
-      segments[i + 1].startY = seg.startY;
-      segments[i + 1].height = segments[i + 1].endY - seg.startY;
-    } else if (i > 0) {
-      segments[i - 1].endY = seg.endY;
-      segments[i - 1].height = seg.endY - segments[i - 1].startY;
-    }
-    return false;
-  });
-
-  // Extract each segment
-  const result = [];
-  for (const seg of segments) {
-    const buf = await sharp(stitchedBuf)
-      .extract({ left: 0, top: seg.startY, width, height: seg.height })
-      .png()
-      .toBuffer();
-    result.push({ buffer: buf, startY: seg.startY, height: seg.height, width });
-  }
-
-  return result;
+function helpText(command) {
+  if (command) {
+    return `${COMMANDS[command]}\n\nUsage: ${USAGE[command]}\n\nFlags:\n${flagList(command)}\n`;
+  }
+  const width = Math.max(...Object.keys(COMMANDS).map((c) => c.length));
+  const commands = Object.entries(COMMANDS)
+    .map(([c, desc]) => `  ${c.padEnd(width)}  ${desc}`)
+    .join("\n");
+  return [
+    "Usage: node colorizer.js [command] [flags]",
+    "",
+    "Commands:",
+    commands,
+    "",
+    "Flags (override .env):",
+    flagList(),
+    "",
+    "Run `node colorizer.js <command> --help` for command-specific usage.",
+    "",
+    "Exit codes: 0 ok, 1 error, 2 usage, 3 config/input error, 4 some segments left B&W (failed or over budget)",
+    "",
+  ].join("\n");
 }
 
-// ── Retry helper ────────────────────────────────────────────────────────────
-
-const MAX_RETRIES = 3;
-const BASE_DELAY_MS = 2000;
-
-function isTransient(err) {
-  // Rate limits, server errors, timeouts, network failures
-  if (err.status === 429 || (err.status >= 500 && err.status < 600)) return true;
-  if (/timeout|ETIMEDOUT|ECONNRESET|ECONNREFUSED|socket hang up|network/i.test(err.message)) return true;
-  if (/safety|content_policy|moderation/i.test(err.message)) return true;
-  return false;
+function usageFail(message, command) {
+  console.error(`Error: ${message}`);
+  console.error(`Usage: ${USAGE[command] || "node colorizer.js [command] [flags]"}`);
+  console.error("Run with --help for all flags.");
+  process.exit(EXIT_USAGE);
 }
 
-async function withRetry(fn, label) {
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      return await fn();
-    } catch (err) {
-      const isSafety = /safety|content_policy|moderation/i.test(err.message);
-      const retriable = isTransient(err);
-
-      if (!retriable || attempt === MAX_RETRIES) {
-        // Non-transient or exhausted retries — return null to signal failure
-        const reason = isSafety ? "safety filter" : err.message;
-        console.warn(`    WARNING: ${label} failed after ${attempt + 1} attempt(s): ${reason}`);
-        return null;
-      }
-
-      // Compute delay: respect Retry-After header if present, otherwise exponential backoff
-      let delay = BASE_DELAY_MS * Math.pow(2, attempt);
-      if (err.headers?.["retry-after"]) {
-        const ra = Number(err.headers["retry-after"]);
-        if (!isNaN(ra)) delay = ra * 1000;
-      }
-      const tag = isSafety ? "safety filter" : `${err.status || "network error"}`;
-      console.log(`    ${tag} — retry ${attempt + 1}/${MAX_RETRIES} in ${(delay / 1000).toFixed(1)}s...`);
-      await new Promise((r) => setTimeout(r, delay));
+function checkValue(name, value, check, command) {
+  if (Array.isArray(check)) {
+    if (!check.includes(value.toLowerCase())) {
+      usageFail(`--${name} must be one of ${check.join(", ")} (got "${value}")`, command);
     }
-  }
-}
-
-// ── Step 4: Colorize a segment via Responses API ────────────────────────────
-
-async function isBlankSegment(buf) {
-  const { data, info } = await sharp(buf)
-    .ensureAlpha()
-    .raw()
-    .toBuffer({ resolveWithObject: true });
-
-  const total = info.width * info.height;
-  let darkCount = 0;
-  let brightCount = 0;
-  for (let i = 0; i < total; i++) {
-    const p = i * info.channels;
-    const r = data[p], g = data[p + 1], b = data[p + 2];
-    if (r < DARK_THRESHOLD && g < DARK_THRESHOLD && b < DARK_THRESHOLD) {
-      darkCount++;
-    } else if (r > 200 && g > 200 && b > 200) {
-      brightCount++;
+  } else if (check === "int") {
+    if (!/^\d+$/.test(value)) usageFail(`--${name} must be a whole number (got "${value}")`, command);
+  } else if (check === "number") {
+    if (value.trim() === "" || isNaN(Number(value))) {
+      usageFail(`--${name} must be a number (got "${value}")`, command);
     }
   }
-
-  const darkRatio = darkCount / total;
-  const nonDark = total - darkCount;
-  const brightRatio = nonDark > 0 ? brightCount / nonDark : 0;
-
-  // Pure black segments (dividers, empty space) — 98%+ dark
-  if (darkRatio >= 0.98) return `blank (${(darkRatio * 100).toFixed(0)}% black)`;
-
-  // Text-on-black segments (e.g., "WEEKS EARLIER...", "ALONE...") —
-  // mostly black with small amounts of white text. No artwork to colorize.
-  // Must be 85%+ dark, and non-dark pixels are mostly white text.
-  // Threshold is 0.6 (not higher) to account for anti-aliased text edges.
-  if (darkRatio >= 0.85 && nonDark > 0 && brightRatio >= 0.6) {
-    return `text-on-black (${(darkRatio * 100).toFixed(0)}% black, ${(brightRatio * 100).toFixed(0)}% of rest is white)`;
-  }
-
-  return false;
 }
 
-// ── Post-process: restore black pixels from original ─────────────────────
-// Edge-connected flood fill approach:
-// 1. Find dark pixels (RGB < 5) connected to image borders via flood fill
-// 2. Only restore if in a high-density region (92%+ dark locally)
-// This catches panel dividers and black backgrounds while avoiding shadows
+function parseCommandLine(argv) {
+  const command = argv[0] && !argv[0].startsWith("-") ? argv[0] : "colorize";
+  const rest = command === argv[0] ? argv.slice(1) : argv;
+  if (!COMMANDS[command]) usageFail(`Unknown command "${command}"`);
 
-const BLACK_RESTORE_THRESHOLD = 5;   // RGB < 5 = "true black"
-const LOCAL_CHECK_RADIUS = 16;        // 33x33 block for density check
-const LOCAL_DENSITY_MIN = 0.92;       // block must be 92%+ dark (higher = fewer false positives on shadows)
+  const options = { help: { type: "boolean", short: "h" } };
+  for (const name of Object.keys(VALUE_FLAGS)) options[name] = { type: "string" };
+  for (const name of Object.keys(SWITCH_FLAGS)) options[name] = { type: "boolean" };
+  for (const name of Object.keys(COMMAND_FLAGS[command] || {})) options[name] = { type: "string" };
 
-async function restoreBlacks(originalBuf, colorizedBuf) {
-  const origRaw = await sharp(originalBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
-  const colRaw = await sharp(colorizedBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
-
-  const oD = origRaw.data;
-  const cD = Buffer.from(colRaw.data); // mutable copy
-  const w = origRaw.info.width;
-  const h = origRaw.info.height;
-  const ch = origRaw.info.channels;
-
-  // Build binary map for dark pixels
-  const dark = new Uint8Array(w * h);
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      const p = (y * w + x) * ch;
-      const r = oD[p], g = oD[p + 1], b = oD[p + 2];
-      if (r < BLACK_RESTORE_THRESHOLD && g < BLACK_RESTORE_THRESHOLD && b < BLACK_RESTORE_THRESHOLD) {
-        dark[y * w + x] = 1;
-      }
-    }
-  }
-
-  // Build summed area table for O(1) local density queries
-  const sat = new Int32Array((w + 1) * (h + 1));
-  const sw = w + 1;
-  for (let y = 1; y <= h; y++) {
-    for (let x = 1; x <= w; x++) {
-      sat[y * sw + x] =
-        dark[(y - 1) * w + (x - 1)] +
-        sat[(y - 1) * sw + x] +
-        sat[y * sw + (x - 1)] -
-        sat[(y - 1) * sw + (x - 1)];
-    }
-  }
-
-  function getLocalDensity(cx, cy) {
-    const x1 = Math.max(0, cx - LOCAL_CHECK_RADIUS);
-    const y1 = Math.max(0, cy - LOCAL_CHECK_RADIUS);
-    const x2 = Math.min(w - 1, cx + LOCAL_CHECK_RADIUS);
-    const y2 = Math.min(h - 1, cy + LOCAL_CHECK_RADIUS);
-    const blockSize = (x2 - x1 + 1) * (y2 - y1 + 1);
-    const a = (y2 + 1) * sw + (x2 + 1);
-    const b = y1 * sw + (x2 + 1);
-    const c = (y2 + 1) * sw + x1;
-    const d = y1 * sw + x1;
-    const darkCount = sat[a] - sat[b] - sat[c] + sat[d];
-    return darkCount / blockSize;
-  }
-
-  // Track which dark pixels are edge-connected
-  const edgeConnected = new Uint8Array(w * h);
-
-  // Seed queue with all dark pixels on image borders
-  const queue = [];
-  for (let x = 0; x < w; x++) {
-    if (dark[x]) queue.push(x);
-    const bottomIdx = (h - 1) * w + x;
-    if (dark[bottomIdx]) queue.push(bottomIdx);
-  }
-  for (let y = 1; y < h - 1; y++) {
-    const leftIdx = y * w;
-    if (dark[leftIdx]) queue.push(leftIdx);
-    const rightIdx = y * w + (w - 1);
-    if (dark[rightIdx]) queue.push(rightIdx);
-  }
-
-  for (const idx of queue) {
-    edgeConnected[idx] = 1;
-  }
-
-  // Flood-fill to find all edge-connected dark pixels
-  while (queue.length > 0) {
-    const idx = queue.pop();
-    const x = idx % w;
-    const y = Math.floor(idx / w);
-
-    const neighbors = [];
-    if (x > 0) neighbors.push(idx - 1);
-    if (x < w - 1) neighbors.push(idx + 1);
-    if (y > 0) neighbors.push(idx - w);
-    if (y < h - 1) neighbors.push(idx + w);
-
-    for (const nIdx of neighbors) {
-      if (dark[nIdx] && !edgeConnected[nIdx]) {
-        edgeConnected[nIdx] = 1;
-        queue.push(nIdx);
-      }
-    }
-  }
-
-  // Restore dark pixels that meet criteria
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      const idx = y * w + x;
-      if (!dark[idx]) continue;
-
-      // Must be in a high-density region
-      const density = getLocalDensity(x, y);
-      if (density < LOCAL_DENSITY_MIN) continue;
-
-      // Must be edge-connected (removed "near speech bubble" logic - it caused artifacts)
-      if (!edgeConnected[idx]) continue;
-
-      const p = idx * ch;
-      cD[p] = 0;
-      cD[p + 1] = 0;
-      cD[p + 2] = 0;
-      cD[p + 3] = 255;
-    }
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+  } catch (err) {
+    usageFail(err.message, command);
   }
-
-  return sharp(cD, {
-    raw: { width: colRaw.info.width, height: colRaw.info.height, channels: ch },
-  })
-    .png()
-    .toBuffer();
+  return { command, values: parsed.values, positionals: parsed.positionals };
 }
 
-// Pick the best API size for a given aspect ratio.
-// API only supports: 1024x1024, 1024x1536 (portrait), 1536x1024 (landscape)
-// Picks the smallest API size that fits the aspect ratio without excessive upscaling.
-function pickApiSize(w, h) {
-  const ratio = w / h;
-  const candidates = [
-    { aw: 1024, ah: 1024 },   // square
-    { aw: 1024, ah: 1536 },   // portrait
-    { aw: 1536, ah: 1024 },   // landscape
-  ];
+const { command, values, positionals } = parseCommandLine(process.argv.slice(2));
 
-  // Score each candidate: prefer the one where the scale factor is closest to 1
-  // (i.e., least upscaling needed) while still fitting the aspect ratio reasonably.
-  let best = candidates[0];
-  let bestScore = Infinity;
-  for (const c of candidates) {
-    const scale = Math.min(c.aw / w, c.ah / h);
-    const aspectDiff = Math.abs(c.aw / c.ah - ratio);
-    // Penalize heavy upscaling (scale > 2) — prefer smaller API size
-    const upscalePenalty = scale > 2 ? scale : 0;
-    const score = aspectDiff + upscalePenalty;
-    if (score < bestScore) {
-      bestScore = score;
-      best = c;
-    }
-  }
-
-  return best;
+if (values.help) {
+  process.stdout.write(helpText(process.argv.slice(2)[0] === command ? command : undefined));
+  process.exit(0);
 }
 
-async function colorizeSegment(segBuf, index, total, prompt) {
-  const meta = await sharp(segBuf).metadata();
-  const origW = meta.width;
-  const origH = meta.height;
-
-  // Downscale segment if wider than the quality tier allows.
-  // This reduces both vision tokens (orchestrator) and image gen cost.
-  let workBuf = segBuf;
-  let workW = origW;
-  let workH = origH;
-  if (origW > TIER.maxWidth) {
-    const downscale = TIER.maxWidth / origW;
-    workW = TIER.maxWidth;
-    workH = Math.round(origH * downscale);
-    workBuf = await sharp(segBuf)
-      .resize(workW, workH, { fit: "fill", kernel: "lanczos3" })
-      .png()
-      .toBuffer();
-  }
-
-  // Choose the API output size that best matches the working aspect ratio
-  const { aw, ah } = pickApiSize(workW, workH);
-  const apiSize = `${aw}x${ah}`;
-
-  // Resize to fit within the API dimensions, then pad with black.
-  const scale = Math.min(aw / workW, ah / workH);
-  const fitW = Math.round(workW * scale);
-  const fitH = Math.round(workH * scale);
-
-  const sendBuf = await sharp(workBuf)
-    .resize(fitW, fitH, { fit: "fill", kernel: "lanczos3" })
-    .extend({
-      top: 0,
-      left: 0,
-      right: aw - fitW,
-      bottom: ah - fitH,
-      background: { r: 0, g: 0, b: 0, alpha: 1 },
-    })
-    .png()
-    .toBuffer();
-
-  console.log(`    Prepared ${origW}x${origH} → ${workW}x${workH} → ${fitW}x${fitH} padded to ${aw}x${ah}`);
-
-  const content = [
-    {
-      type: "input_image",
-      image_url: toDataUrl(sendBuf),
-      detail: "high",
-    },
-    {
-      type: "input_text",
-      text: prompt,
-    },
-  ];
-
-  const res = await client.responses.create({
-    model: "gpt-5.2",
-    instructions: SYSTEM_INSTRUCTIONS,
-    input: [{ role: "user", content }],
-    tools: [
-      {
-        type: "image_generation",
-        action: "edit",
-        quality: QUALITY,
-        input_fidelity: "high",
-        size: apiSize,
-        output_format: "png",
-      },
-    ],
-  });
-
-  // Log usage/cost if available
-  let segmentCost = 0;
-  if (res.usage) {
-    const inputTokens = res.usage.input_tokens || 0;
-    const outputTokens = res.usage.output_tokens || 0;
-    // Image generation is the main cost - varies by quality
-    // high: ~$0.32, medium: ~$0.12, low: ~$0.04 per image (approximate)
-    const imgCost = QUALITY === "high" ? 0.32 : QUALITY === "medium" ? 0.12 : 0.04;
-    const tokenCost = (inputTokens * 0.01 + outputTokens * 0.03) / 1000;
-    segmentCost = imgCost + tokenCost;
-    console.log(`    Cost: ~$${segmentCost.toFixed(3)} (img: $${imgCost.toFixed(2)}, tokens: ${inputTokens}+${outputTokens})`);
-  }
-
-  // Find image output
-  let b64 = null;
-  for (const item of res.output) {
-    if (item.type === "image_generation_call") {
-      b64 = item.result;
-      break;
-    }
-  }
-
-  if (!b64) {
-    const types = res.output.map((o) => o.type).join(", ");
-    for (const item of res.output) {
-      if (item.type === "message" && item.content) {
-        for (const c of item.content) {
-          if (c.text) console.error(`  API message: ${c.text}`);
-        }
-      }
-    }
-    throw new Error(
-      `Segment ${index + 1}/${total}: No image in response. Output types: ${types}`
-    );
-  }
-
-  const apiOut = Buffer.from(b64, "base64");
-
-  // Crop out the padding (still at working resolution)
-  const cropped = await sharp(apiOut)
-    .extract({ left: 0, top: 0, width: fitW, height: fitH })
-    .resize(workW, workH, { fit: "fill", kernel: "lanczos3" })
-    .png()
-    .toBuffer();
-
-  // Restore blacks at working resolution so both images are at the same scale.
-  // This avoids jagged artifacts from comparing crisp originals against upscaled output.
-  const restored = RESTORE_BLACKS ? await restoreBlacks(workBuf, cropped) : cropped;
-
-  // Upscale to original full-res dimensions
-  if (workW !== origW || workH !== origH) {
-    return sharp(restored)
-      .resize(origW, origH, { fit: "fill", kernel: "lanczos3" })
-      .png()
-      .toBuffer();
-  }
-  return restored;
+for (const [name, [env, , check]] of Object.entries(VALUE_FLAGS)) {
+  if (values[name] === undefined) continue;
+  checkValue(name, values[name], check, command);
+  process.env[env] = values[name];
 }
-
-// ── Step 5: Reassemble colorized segments ──────────────────────────────────
-
-async function reassembleSegments(segments, width) {
-  const totalH = segments.reduce((sum, s) => sum + s.height, 0);
-
-  let y = 0;
-  const composites = [];
-  for (const seg of segments) {
-    composites.push({ input: seg.buffer, top: y, left: 0 });
-    y += seg.height;
-  }
-
-  const reassembled = await sharp({
-    create: {
-      width,
-      height: totalH,
-      channels: 4,
-      background: { r: 0, g: 0, b: 0, alpha: 1 },
-    },
-  })
-    .composite(composites)
-    .png()
-    .toBuffer();
-
-  return reassembled;
+for (const [name, [env, value]] of Object.entries(SWITCH_FLAGS)) {
+  if (values[name]) process.env[env] = value;
 }
 
-// ── Step 6: Re-slice to match original input slice dimensions ───────────
-
-async function reslice(reassembledBuf, width, originalHeights) {
-  const slices = [];
-  let top = 0;
-
-  for (let i = 0; i < originalHeights.length; i++) {
-    const sliceH = originalHeights[i];
-    const remaining = (await sharp(reassembledBuf).metadata()).height - top;
-    if (remaining <= 0) break;
-
-    const extractH = Math.min(sliceH, remaining);
-    let slice = await sharp(reassembledBuf)
-      .extract({ left: 0, top, width, height: extractH })
-      .png()
-      .toBuffer();
-
-    // If extracted region is shorter than the original slice, pad with black
-    if (extractH < sliceH) {
-      slice = await sharp({
-        create: {
-          width,
-          height: sliceH,
-          channels: 4,
-          background: { r: 0, g: 0, b: 0, alpha: 1 },
-        },
-      })
-        .composite([{ input: slice, top: 0, left: 0 }])
-        .png()
-        .toBuffer();
-    }
-
-    // Resize to output dimensions if needed
-    if (width !== OUTPUT_W || sliceH !== OUTPUT_H) {
-      slice = await sharp(slice)
-        .resize(OUTPUT_W, OUTPUT_H, { fit: "fill" })
-        .png()
-        .toBuffer();
-    }
-
-    slices.push(slice);
-    top += sliceH;
-  }
-
-  return slices;
+const maxPositionals = { colorize: 0, detect: 0, segment: 0, reslice: 1, series: 1, watch: 0, serve: 0, palette: 2, context: 4, cache: 2, ledger: 1 };
+if (positionals.length > maxPositionals[command]) {
+  usageFail(`Unexpected argument "${positionals[maxPositionals[command]]}"`, command);
 }
 
-// ── Debug helpers ──────────────────────────────────────────────────────────
+// Loaded only now, so .env fills in what the flags above left unset
+await import("dotenv/config");
+const pipeline = await import("./lib/pipeline.js");
+const { EXIT } = pipeline;
 
-async function debugSave(name, buf) {
-  if (!DEBUG) return;
-  await ensureDir(DEBUG_DIR);
-  await fsp.writeFile(path.join(DEBUG_DIR, name), buf);
-  console.log(`  [debug] saved ${name}`);
+let config;
+try {
+  config = pipeline.resolveConfig({}, process.env);
+} catch (err) {
+  console.error("Error:", err.message);
+  process.exit(err.exitCode ?? EXIT.ERROR);
 }
 
-// ── Main ───────────────────────────────────────────────────────────────────
-
-async function main() {
-  if (!process.env.OPENAI_API_KEY)
-    throw new Error("Missing OPENAI_API_KEY in .env");
-
-  console.log(`Quality: ${QUALITY} | Restore blacks: ${RESTORE_BLACKS} | Context: ${CAPTURE_CONTEXT}`);
-
-  const BASE_PROMPT = await loadPalette();
-  const contextEntries = await loadContext();
-  const PROMPT = buildPromptWithContext(BASE_PROMPT, contextEntries);
-
-  await ensureDir(OUTPUT_DIR);
-
-  // 1. Load input slices
-  const files = await listImages(INPUT_DIR);
-  const targets = files
-    .map((f) => ({ file: f, ...parseName(f) }))
-    .sort((a, b) => a.idx - b.idx);
-
-  if (targets.length === 0) throw new Error("No PNG files found in " + INPUT_DIR);
-
-  const inFiles = targets.map((t) => t.file);
-  console.log(`Found ${inFiles.length} input slices`);
-
-  // 2. Stitch into one continuous strip
-  console.log("Stitching slices...");
-  const { buffer: stitchedBuf, width, totalH, heights } =
-    await stitchSlices(inFiles);
-  console.log(`  Stitched: ${width}x${totalH}`);
-  await debugSave("01_stitched.png", stitchedBuf);
-
-  // 3. Detect safe split points
-  console.log("Detecting safe split points...");
-  const splitPoints = await detectSafeSplitPoints(stitchedBuf);
-  console.log(
-    `  Found ${splitPoints.length} split points:`,
-    splitPoints.map((sp) => `row ${sp.midPoint} (gap ${sp.height}px)`).join(", ") ||
-      "none"
-  );
-
-  // 4. Split into self-contained segments
-  console.log("Splitting into segments...");
-  const segments = await splitAtPoints(stitchedBuf, width, totalH, splitPoints);
-  console.log(`  Created ${segments.length} segments`);
-  for (let i = 0; i < segments.length; i++) {
-    console.log(`    Segment ${i + 1}: ${segments[i].width}x${segments[i].height}`);
-    await debugSave(`02_segment_${pad(i + 1)}_input.png`, segments[i].buffer);
-  }
-
-  // 5. Colorize each segment
-  let apiCalls = 0;
-  let skippedSegments = 0;
-  const failedIndices = [];
-  console.log("Colorizing segments...");
-  const colorizedSegments = [];
-  for (let i = 0; i < segments.length; i++) {
-    const progress = `[${i + 1}/${segments.length}, ${apiCalls} API calls, ${failedIndices.length} failed, ${skippedSegments} skipped]`;
-    console.log(
-      `  ${progress} Segment ${i + 1} (${segments[i].width}x${segments[i].height})...`
-    );
-
-    // Check if segment is blank/text-on-black before making API call
-    const blankReason = await isBlankSegment(segments[i].buffer);
-    let colorized = null;
-
-    if (blankReason) {
-      console.log(`    ${blankReason} — skipping API call`);
-      colorized = segments[i].buffer;
-      skippedSegments++;
-    } else {
-      colorized = await withRetry(
-        () => {
-          apiCalls++;
-          return colorizeSegment(segments[i].buffer, i, segments.length, PROMPT);
-        },
-        `Segment ${i + 1}/${segments.length}`
-      );
-
-      if (colorized === null) {
-        // All retries exhausted — fall back to B&W
-        console.warn(`    → Using original B&W for segment ${i + 1}`);
-        colorized = segments[i].buffer;
-        failedIndices.push(i + 1);
-      } else if (CAPTURE_CONTEXT) {
-        // Capture color decisions for unlocked elements
-        const newColors = await captureContext(colorized, BASE_PROMPT);
-        if (newColors.length > 0) {
-          // Deduplicate against existing entries
-          const existing = new Set(contextEntries.map((e) => e.toLowerCase()));
-          const unique = newColors.filter((c) => !existing.has(c.toLowerCase()));
-          if (unique.length > 0) {
-            contextEntries.push(...unique);
-            console.log(`    Context: +${unique.length} learned (${contextEntries.length} total)`);
-          }
-        }
-      }
-    }
-
-    colorizedSegments.push({
-      buffer: colorized,
-      height: segments[i].height,
-    });
-    await debugSave(`03_segment_${pad(i + 1)}_colorized.png`, colorized);
-  }
-
-  // Final summary with cost estimate
-  const estCostPerCall = QUALITY === "high" ? 0.32 : QUALITY === "medium" ? 0.12 : 0.04;
-  const estTotalCost = apiCalls * estCostPerCall;
-  console.log(`\nAPI summary: ${apiCalls} calls, ${skippedSegments} skipped, ${failedIndices.length} failed`);
-  console.log(`Estimated cost: ~$${estTotalCost.toFixed(2)} (${QUALITY} quality @ ~$${estCostPerCall.toFixed(2)}/image)`);
-  if (failedIndices.length > 0) {
-    console.warn(`Failed segments (fell back to B&W): ${failedIndices.join(", ")}`);
-  }
-
-  // Save learned context
-  if (CAPTURE_CONTEXT && contextEntries.length > 0) {
-    await saveContext(contextEntries);
-    console.log(`Context saved: ${contextEntries.length} entries → ${CONTEXT_PATH}`);
-  }
-
-  // 6. Reassemble
-  console.log("Reassembling...");
-  const reassembled = await reassembleSegments(colorizedSegments, width);
-  await debugSave("04_reassembled.png", reassembled);
-
-  // 7. Re-slice to match original input slice dimensions
-  console.log(`Re-slicing to ${OUTPUT_W}x${OUTPUT_H}...`);
-  const outputSlices = await reslice(reassembled, width, heights);
-
-  // 8. Save output
-  const { key: namePrefix, idx: startIdx, ext } = targets[0];
-  const idxDigits = String(targets[targets.length - 1].idx).length;
-
-  const isJpg = /\.jpe?g$/i.test(ext);
-
-  for (let i = 0; i < outputSlices.length; i++) {
-    const idx = startIdx + i;
-    const outName = `${namePrefix}${pad(idx, Math.max(idxDigits, 3))}${ext}`;
-    const outPath = path.join(OUTPUT_DIR, outName);
-    const outBuf = isJpg
-      ? await sharp(outputSlices[i]).jpeg({ quality: 95 }).toBuffer()
-      : outputSlices[i];
-    await fsp.writeFile(outPath, outBuf);
-    console.log(`  Saved ${outName}`);
-  }
-
-  console.log(
-    `Done. ${outputSlices.length} slices saved to ${OUTPUT_DIR}`
-  );
-}
+// A parent process that sets PROGRESS_FD (the job server) reads the run's
+// progress events from that file descriptor, one JSON object per line
+const progressFd = Number(process.env.PROGRESS_FD) || null;
+const onProgress = progressFd && ((event) => fs.writeSync(progressFd, JSON.stringify(event) + "\n"));
+
+const commands = {
+  colorize: () => pipeline.colorizeChapter({ ...config, out: values.out, onProgress, logger: console }),
+  detect: () => pipeline.detectCommand(config, { out: values.out }),
+  segment: () => pipeline.segmentCommand(config, { out: values.out }),
+  reslice: () => pipeline.resliceCommand(config, positionals[0]),
+  series: async () => (await import("./lib/series.js")).seriesCommand(positionals[0], { chapter: values.chapter }),
+  watch: async () => (await import("./lib/watch.js")).watchCommand(config),
+  serve: async () => (await import("./lib/server.js")).serveCommand(),
+  palette: () => pipeline.paletteCommand(config, ...positionals),
+  context: () => pipeline.contextCommand(config, ...positionals),
+  cache: () => pipeline.cacheCommand(config, ...positionals),
+  ledger: () => pipeline.ledgerCommand(config, ...positionals),
+};
 
-main().catch((err) => {
+try {
+  const result = await commands[command]();
+  // The pipeline already listed these segments in its summary
+  if (result?.failed?.length > 0 || result?.overBudget?.length > 0) process.exit(EXIT.PARTIAL);
+  if (result?.exitCode) process.exit(result.exitCode);
+} catch (err) {
   console.error("Error:", err.message);
-  process.exit(1);
-});
+  process.exit(err.exitCode ?? EXIT.ERROR);
+}
@@ -0,0 +1,161 @@
+import sharp from "sharp";
+import { rgbToOklab, hexToOklab, colorDistance as distance } from "./oklab.js";
+
+// ── Palette adherence ──────────────────────────────────────────────────────
+// A local check of whether a colorized segment used the palette's locked
+// colors. The segment's dominant colors are found with k-means in OKLab;
+// each is then compared with its nearest locked color:
+//
+//   distance ≤ MATCH_DIST   a match (shading variations of a locked color)
+//   distance ≤ DRIFT_DIST   drift — close enough that it was meant to be
+//                           that locked color, but visibly off (purple hair
+//                           drawn blue, red tracksuit drawn orange)
+//   farther                 unrelated (walls, sky, props) — not scored
+//
+// score = matched share / (matched + drifted share), or null when nothing
+// in the segment is related to the palette. Near-neutral colors (black,
+// white, grays) are skipped on both sides: line art and bubbles would
+// otherwise dominate, and a gray can't drift in hue.
+//
+// The check is global, not per region: a drifted color that happens to
+// sit near a different locked color counts as a match. Callers narrow
+// `locked` to the entries known to be in the segment where they can.
+
+const MATCH_DIST = 0.07;
+const DRIFT_DIST = 0.15;
+const NEUTRAL_CHROMA = 0.025;
+const SAMPLE_W = 160;
+const CLUSTERS = 8;
+const MIN_SHARE = 0.01;
+
+function chroma(lab) {
+  return Math.hypot(lab[1], lab[2]);
+}
+
+function toHex([r, g, b]) {
+  return "#" + [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("").toUpperCase();
+}
+
+// Dominant chromatic colors as [{ hex, lab, share }], share being the
+// fraction of chromatic pixels in the cluster.
+export async function dominantColors(buf) {
+  const { data, info } = await sharp(buf)
+    .resize({ width: SAMPLE_W, withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = [];
+  for (let p = 0; p < data.length; p += info.channels) {
+    const lab = rgbToOklab(data[p], data[p + 1], data[p + 2]);
+    if (chroma(lab) >= NEUTRAL_CHROMA) pixels.push({ lab, rgb: [data[p], data[p + 1], data[p + 2]] });
+  }
+  if (pixels.length === 0) return [];
+
+  // Deterministic seeds: centers of the most populated coarse a/b bins
+  const bins = new Map();
+  for (const px of pixels) {
+    const key = `${Math.round(px.lab[1] / 0.04)},${Math.round(px.lab[2] / 0.04)}`;
+    const bin = bins.get(key) || { n: 0, sum: [0, 0, 0] };
+    bin.n++;
+    for (let k = 0; k < 3; k++) bin.sum[k] += px.lab[k];
+    bins.set(key, bin);
+  }
+  let centers = [...bins.values()]
+    .sort((x, y) => y.n - x.n)
+    .slice(0, CLUSTERS)
+    .map((b) => b.sum.map((v) => v / b.n));
+
+  const assign = new Int32Array(pixels.length);
+  for (let iter = 0; iter < 10; iter++) {
+    for (let i = 0; i < pixels.length; i++) {
+      let best = 0;
+      let bestD = Infinity;
+      for (let c = 0; c < centers.length; c++) {
+        const d = distance(pixels[i].lab, centers[c]);
+        if (d < bestD) {
+          bestD = d;
+          best = c;
+        }
+      }
+      assign[i] = best;
+    }
+    const sums = centers.map(() => ({ n: 0, lab: [0, 0, 0], rgb: [0, 0, 0] }));
+    for (let i = 0; i < pixels.length; i++) {
+      const s = sums[assign[i]];
+      s.n++;
+      for (let k = 0; k < 3; k++) {
+        s.lab[k] += pixels[i].lab[k];
+        s.rgb[k] += pixels[i].rgb[k];
+      }
+    }
+    centers = sums.map((s, c) => (s.n > 0 ? s.lab.map((v) => v / s.n) : centers[c]));
+    if (iter === 9) {
+      return sums
+        .filter((s) => s.n / pixels.length >= MIN_SHARE)
+        .map((s) => ({
+          hex: toHex(s.rgb.map((v) => Math.round(v / s.n))),
+          lab: s.lab.map((v) => v / s.n),
+          share: s.n / pixels.length,
+        }))
+        .sort((x, y) => y.share - x.share);
+    }
+  }
+}
+
+// locked: [{ label, hex }] from the palette. Returns
+// { score, matched, drifted: [{ hex, share, target, label, distance }] }.
+export function scoreAdherence(dominant, locked) {
+  const targets = locked
+    .map((c) => ({ ...c, lab: hexToOklab(c.hex) }))
+    .filter((c) => chroma(c.lab) >= NEUTRAL_CHROMA);
+
+  let matched = 0;
+  let drifted = 0;
+  const drifts = [];
+  for (const color of dominant) {
+    let nearest = null;
+    let nearestD = Infinity;
+    for (const t of targets) {
+      const d = distance(color.lab, t.lab);
+      if (d < nearestD) {
+        nearestD = d;
+        nearest = t;
+      }
+    }
+    if (nearestD <= MATCH_DIST) {
+      matched += color.share;
+    } else if (nearestD <= DRIFT_DIST) {
+      drifted += color.share;
+      drifts.push({
+        hex: color.hex,
+        share: Math.round(color.share * 1000) / 1000,
+        target: nearest.hex,
+        label: nearest.label,
+        distance: Math.round(nearestD * 1000) / 1000,
+      });
+    }
+  }
+
+  const related = matched + drifted;
+  return {
+    score: related > 0 ? Math.round((matched / related) * 1000) / 1000 : null,
+    matched: Math.round(matched * 1000) / 1000,
+    drifted: drifts.sort((x, y) => y.share - x.share),
+  };
+}
+
+export async function checkAdherence(buf, locked) {
+  return scoreAdherence(await dominantColors(buf), locked);
+}
+
+// Prompt addition for a re-request: spell out what drifted and what it
+// should have been.
+export function reinforcementNote(drifted) {
+  const lines = drifted.slice(0, 5).map((d) => `- ${d.label} must be ${d.target} — the previous attempt used ${d.hex}.`);
+  return [
+    "COLOR CORRECTION: A previous attempt at this panel drifted from the locked palette:",
+    ...lines,
+    "Use the locked hex colors exactly. Locked colors take priority over lighting and mood.",
+  ].join("\n");
+}
@@ -0,0 +1,397 @@
+import crypto from "node:crypto";
+import sharp from "sharp";
+import OpenAI, { toFile } from "openai";
+import { cassetteClient } from "./cassette.js";
+import { warn } from "./log.js";
+
+// ── Colorization backends ──────────────────────────────────────────────────
+// A backend is a plain object with:
+//   name                              — recorded in cache keys and logs
+//   requiresApiKey                    — true if it needs OPENAI_API_KEY
+//   prepare(segBuf)                   → prepared image + geometry (see prepareForApi)
+//   colorize(prepared, prompt, label, references)
+//                                     → { image, usage } — image is padded to prepared.apiSize
+//   describe(colorizedBuf, palette)   → { colors, usage } — observed colors (context capture)
+//
+// references are already-colorized PNGs (small, see REFERENCE_SIZE) sent
+// after the segment for the model to match colors against; the prompt says
+// what each one is.
+//
+// usage is null (free) or tagged with the model that produced it, so costs
+// can be priced from the real token counts (see usageCost in costs.js).
+//
+// Every backend shares the same preparation, so cropping, black restoration
+// and upscaling stay identical whichever one produced the image.
+
+export const BACKENDS = ["responses", "images", "http", "stub"];
+
+const ORCHESTRATOR_MODEL = "gpt-5.2";
+export const IMAGE_MODEL = "gpt-image-1.5";
+
+const CONTEXT_INSTRUCTIONS = "You analyze colorized webtoon panels. Return ONLY a JSON array of short strings describing colors you observe for elements NOT already specified in the palette (e.g., backgrounds, furniture, unnamed clothing, objects). Each string should be like: \"hospital hallway: pale mint-green walls (#D4E8D6)\". If nothing notable, return an empty array [].";
+
+export function toDataUrl(buf) {
+  return `data:image/png;base64,${buf.toString("base64")}`;
+}
+
+// Pick the best API size for a given aspect ratio.
+// API only supports: 1024x1024, 1024x1536 (portrait), 1536x1024 (landscape)
+// Picks the smallest API size that fits the aspect ratio without excessive upscaling.
+export function pickApiSize(w, h) {
+  const ratio = w / h;
+  const candidates = [
+    { aw: 1024, ah: 1024 },   // square
+    { aw: 1024, ah: 1536 },   // portrait
+    { aw: 1536, ah: 1024 },   // landscape
+  ];
+
+  // Score each candidate: prefer the one where the scale factor is closest to 1
+  // (i.e., least upscaling needed) while still fitting the aspect ratio reasonably.
+  let best = candidates[0];
+  let bestScore = Infinity;
+  for (const c of candidates) {
+    const scale = Math.min(c.aw / w, c.ah / h);
+    const aspectDiff = Math.abs(c.aw / c.ah - ratio);
+    // Penalize heavy upscaling (scale > 2) — prefer smaller API size
+    const upscalePenalty = scale > 2 ? scale : 0;
+    const score = aspectDiff + upscalePenalty;
+    if (score < bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+
+  return best;
+}
+
+// Downscale to the quality tier's max width, then fit inside the closest API
+// size and pad with black. Returns every intermediate the caller needs to undo it.
+export async function prepareForApi(segBuf, maxWidth) {
+  const meta = await sharp(segBuf).metadata();
+  const origW = meta.width;
+  const origH = meta.height;
+
+  // Downscale segment if wider than the quality tier allows.
+  // This reduces both vision tokens (orchestrator) and image gen cost.
+  let workBuf = segBuf;
+  let workW = origW;
+  let workH = origH;
+  if (origW > maxWidth) {
+    const downscale = maxWidth / origW;
+    workW = maxWidth;
+    workH = Math.round(origH * downscale);
+    workBuf = await sharp(segBuf)
+      .resize(workW, workH, { fit: "fill", kernel: "lanczos3" })
+      .png()
+      .toBuffer();
+  }
+
+  // Choose the API output size that best matches the working aspect ratio
+  const { aw, ah } = pickApiSize(workW, workH);
+
+  // Resize to fit within the API dimensions, then pad with black.
+  const scale = Math.min(aw / workW, ah / workH);
+  const fitW = Math.round(workW * scale);
+  const fitH = Math.round(workH * scale);
+
+  const sendBuf = await sharp(workBuf)
+    .resize(fitW, fitH, { fit: "fill", kernel: "lanczos3" })
+    .extend({
+      top: 0,
+      left: 0,
+      right: aw - fitW,
+      bottom: ah - fitH,
+      background: { r: 0, g: 0, b: 0, alpha: 1 },
+    })
+    .png()
+    .toBuffer();
+
+  return {
+    origW, origH, workBuf, workW, workH, fitW, fitH, aw, ah,
+    apiSize: `${aw}x${ah}`,
+    sendBuf,
+  };
+}
+
+// cassette: { mode, dir, matchImages } to record or replay its calls (see
+// lib/cassette.js)
+function lazyClient(apiKey, cassette = null) {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new OpenAI({ apiKey });
+    return client;
+  };
+  if (!cassette) return getClient;
+  const recorder = cassetteClient(getClient, cassette);
+  return () => recorder;
+}
+
+// Parse the JSON array a context-capture model returns (handles markdown code fences)
+function parseColorList(text) {
+  const cleaned = text.replace(/```json?\s*/g, "").replace(/```/g, "").trim();
+  const arr = JSON.parse(cleaned);
+  return Array.isArray(arr) ? arr.filter((s) => typeof s === "string" && s.length > 0) : [];
+}
+
+// Context capture through the Responses API — shared by the OpenAI backends.
+async function describeWithResponses(getClient, colorizedBuf, palettePrompt) {
+  const res = await getClient().responses.create({
+    model: ORCHESTRATOR_MODEL,
+    instructions: CONTEXT_INSTRUCTIONS,
+    input: [{
+      role: "user",
+      content: [
+        { type: "input_image", image_url: toDataUrl(colorizedBuf), detail: "low" },
+        { type: "input_text", text: `Here is the palette that was already specified:\n${palettePrompt}\n\nList colors chosen for elements NOT in the palette above. Return a JSON array of strings. Be concise — only notable/reusable colors.` },
+      ],
+    }],
+  });
+
+  const usage = res.usage ? { model: ORCHESTRATOR_MODEL, ...res.usage } : null;
+
+  // Extract text response
+  for (const item of res.output) {
+    if (item.type === "message" && item.content) {
+      for (const c of item.content) {
+        if (c.text) return { colors: parseColorList(c.text), usage };
+      }
+    }
+  }
+  return { colors: [], usage };
+}
+
+// ── Responses API (GPT-5.2 orchestrating the image_generation tool) ─────────
+
+function responsesBackend({ quality, maxWidth, instructions, apiKey, cassette }) {
+  const getClient = lazyClient(apiKey, cassette);
+  return {
+    name: "responses",
+    requiresApiKey: cassette?.mode !== "replay",
+    prepare: (segBuf) => prepareForApi(segBuf, maxWidth),
+
+    async colorize(prepared, prompt, label, references = []) {
+      const content = [
+        {
+          type: "input_image",
+          image_url: toDataUrl(prepared.sendBuf),
+          detail: "high",
+        },
+        ...references.map((ref) => ({ type: "input_image", image_url: toDataUrl(ref), detail: "low" })),
+        {
+          type: "input_text",
+          text: prompt,
+        },
+      ];
+
+      const res = await getClient().responses.create({
+        model: ORCHESTRATOR_MODEL,
+        instructions,
+        input: [{ role: "user", content }],
+        tools: [
+          {
+            type: "image_generation",
+            action: "edit",
+            quality,
+            input_fidelity: "high",
+            size: prepared.apiSize,
+            output_format: "png",
+          },
+        ],
+      });
+
+      // Find image output
+      let b64 = null;
+      for (const item of res.output) {
+        if (item.type === "image_generation_call") {
+          b64 = item.result;
+          break;
+        }
+      }
+
+      if (!b64) {
+        const types = res.output.map((o) => o.type).join(", ");
+        for (const item of res.output) {
+          if (item.type === "message" && item.content) {
+            for (const c of item.content) {
+              if (c.text) warn(`  API message: ${c.text}`);
+            }
+          }
+        }
+        throw new Error(`${label}: No image in response. Output types: ${types}`);
+      }
+
+      // Orchestrator tokens are reported; the tool's image is priced per image
+      const usage = {
+        model: ORCHESTRATOR_MODEL,
+        ...res.usage,
+        images: [{ model: IMAGE_MODEL, quality, size: prepared.apiSize }],
+      };
+      return { image: Buffer.from(b64, "base64"), usage };
+    },
+
+    describe: (buf, palettePrompt) => describeWithResponses(getClient, buf, palettePrompt),
+  };
+}
+
+// ── Images edit endpoint (gpt-image directly, no orchestrator) ─────────────
+
+function imagesBackend({ quality, maxWidth, apiKey }) {
+  const getClient = lazyClient(apiKey);
+  return {
+    name: "images",
+    requiresApiKey: true,
+    prepare: (segBuf) => prepareForApi(segBuf, maxWidth),
+
+    async colorize(prepared, prompt, label, references = []) {
+      // The first image is the one edited; the rest are references
+      const segment = await toFile(prepared.sendBuf, "segment.png", { type: "image/png" });
+      const refs = await Promise.all(
+        references.map((ref, i) => toFile(ref, `reference_${i + 1}.png`, { type: "image/png" }))
+      );
+      const res = await getClient().images.edit({
+        model: IMAGE_MODEL,
+        image: refs.length > 0 ? [segment, ...refs] : segment,
+        prompt,
+        size: prepared.apiSize,
+        quality,
+        input_fidelity: "high",
+        output_format: "png",
+      });
+
+      const b64 = res.data?.[0]?.b64_json;
+      if (!b64) throw new Error(`${label}: No image in response`);
+      // The edit endpoint reports image tokens, so it's priced by token
+      const usage = res.usage
+        ? { model: IMAGE_MODEL, ...res.usage }
+        : { images: [{ model: IMAGE_MODEL, quality, size: prepared.apiSize }] };
+      return { image: Buffer.from(b64, "base64"), usage };
+    },
+
+    describe: (buf, palettePrompt) => describeWithResponses(getClient, buf, palettePrompt),
+  };
+}
+
+// ── Generic HTTP endpoint (e.g. a self-hosted diffusion server) ─────────────
+// POST <url> with JSON { image, prompt, width, height, quality, references }
+// where image is base64 PNG and references a (possibly empty) array of
+// base64 PNGs. Expects JSON { image, usage? } back, image also base64 PNG
+// at the requested width x height. usage may carry { cost } in USD.
+
+function httpBackend({ quality, maxWidth, url, token }) {
+  if (!url) throw new Error("BACKEND=http requires HTTP_BACKEND_URL");
+  return {
+    name: "http",
+    requiresApiKey: false,
+    prepare: (segBuf) => prepareForApi(segBuf, maxWidth),
+
+    async colorize(prepared, prompt, label, references = []) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({
+          image: prepared.sendBuf.toString("base64"),
+          prompt,
+          width: prepared.aw,
+          height: prepared.ah,
+          quality,
+          references: references.map((ref) => ref.toString("base64")),
+        }),
+      });
+
+      if (!res.ok) {
+        // Shaped like an OpenAI API error so withRetry can classify it
+        const err = new Error(`${label}: HTTP backend returned ${res.status} ${res.statusText}`);
+        err.status = res.status;
+        err.headers = Object.fromEntries(res.headers);
+        throw err;
+      }
+
+      const body = await res.json();
+      if (!body.image) throw new Error(`${label}: No image in response`);
+      return { image: Buffer.from(body.image, "base64"), usage: body.usage || null };
+    },
+
+    // No vision model behind a generic endpoint — context capture is a no-op
+    describe: async () => ({ colors: [], usage: null }),
+  };
+}
+
+// ── Offline stub ───────────────────────────────────────────────────────────
+// Deterministic local "colorization": the image is cut into a grid and each
+// cell is tinted with a hue derived from the prompt and the cell position,
+// scaled by the original luminance so line art and blacks survive. Same
+// input + prompt always gives the same output — no network, no API key.
+// Reference images are ignored.
+
+const STUB_GRID = 4;
+
+function hueToRgb(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+function stubBackend({ maxWidth }) {
+  return {
+    name: "stub",
+    requiresApiKey: false,
+    prepare: (segBuf) => prepareForApi(segBuf, maxWidth),
+
+    async colorize(prepared, prompt) {
+      const { data, info } = await sharp(prepared.sendBuf)
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const seed = crypto.createHash("sha256").update(prompt).digest().readUInt16BE(0);
+      const tints = [];
+      for (let i = 0; i < STUB_GRID * STUB_GRID; i++) {
+        tints.push(hueToRgb((seed + i * 47) % 360, 0.55, 0.6));
+      }
+
+      const w = info.width;
+      const h = info.height;
+      const cellW = Math.ceil(w / STUB_GRID);
+      const cellH = Math.ceil(h / STUB_GRID);
+      const out = Buffer.alloc(data.length);
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const p = (y * w + x) * 3;
+          const lum = (0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) / 255;
+          const tint = tints[Math.floor(y / cellH) * STUB_GRID + Math.floor(x / cellW)];
+          // White maps to a pastel of the tint, black stays black
+          out[p] = Math.round(lum * (128 + tint[0] / 2));
+          out[p + 1] = Math.round(lum * (128 + tint[1] / 2));
+          out[p + 2] = Math.round(lum * (128 + tint[2] / 2));
+        }
+      }
+
+      const image = await sharp(out, { raw: { width: w, height: h, channels: 3 } }).png().toBuffer();
+      return { image, usage: null };
+    },
+
+    describe: async () => ({ colors: [], usage: null }),
+  };
+}
+
+export function createBackend(name, options) {
+  // Only the Responses API calls can be recorded — anything else would
+  // still reach the network in a replay
+  if (options.cassette && name !== "responses") {
+    throw new Error(`CASSETTE_MODE=${options.cassette.mode} requires BACKEND=responses (got "${name}")`);
+  }
+  switch (name) {
+    case "responses": return responsesBackend(options);
+    case "images": return imagesBackend(options);
+    case "http": return httpBackend(options);
+    case "stub": return stubBackend(options);
+    default:
+      throw new Error(`Unknown backend "${name}". Available: ${BACKENDS.join(", ")}`);
+  }
+}
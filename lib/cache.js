@@ -0,0 +1,208 @@
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+
+// ── Segment cache ──────────────────────────────────────────────────────────
+// Content-addressed store for raw API outputs. Each entry is keyed by the
+// segment's pixels plus everything else that goes into the request (the
+// prompt minus its learned-context block, quality tier, API size, backend,
+// reference images), so an unchanged segment never gets paid for twice. Entries are written as soon
+// as a segment comes back, which is what lets a crashed run resume where it
+// stopped.
+//
+// Layout: <dir>/<key>.png holds the API image, <dir>/<key>.json its metadata.
+// One metadata file per entry (instead of a shared index) keeps writes
+// independent, so an interrupted run can never corrupt the whole cache.
+
+async function hashPixels(hash, buf) {
+  // Hash decoded pixels, not PNG bytes — the same pixels can encode differently.
+  const { data, info } = await sharp(buf)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  hash.update(`${info.width}x${info.height}x${info.channels}\n`).update(data);
+}
+
+// Hash of an image's pixels alone, plus any extra text that should tell
+// two uses of the same pixels apart
+export async function imageHash(buf, extra = "") {
+  const hash = crypto.createHash("sha256");
+  await hashPixels(hash, buf);
+  hash.update(`\n${extra}`);
+  return hash.digest("hex");
+}
+
+// backend: the backend's name, with its endpoint for http; references:
+// reference images sent along with the segment, in order
+export async function segmentCacheKey(segBuf, { prompt, quality, apiSize, backend, references = [] }) {
+  const hash = crypto.createHash("sha256");
+  await hashPixels(hash, segBuf);
+  hash.update(`\nbackend=${backend}\nquality=${quality}\nsize=${apiSize}\n`).update(prompt);
+  for (const ref of references) {
+    hash.update("\nreference\n");
+    await hashPixels(hash, ref);
+  }
+  return hash.digest("hex");
+}
+
+function entryPaths(dir, key) {
+  return {
+    image: path.join(dir, `${key}.png`),
+    meta: path.join(dir, `${key}.json`),
+  };
+}
+
+// Write to a temp file and rename, so a crash never leaves a truncated entry.
+// Each write gets its own temp file, so two workers writing the same key
+// (repeated panels) can't rename each other's away.
+let tempCount = 0;
+
+export async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${++tempCount}.tmp`;
+  try {
+    await fsp.writeFile(tmp, data);
+    await fsp.rename(tmp, file);
+  } catch (err) {
+    await fsp.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+// Whether a file name is a temp file of a writeAtomic in this process
+export function isOwnTempFile(name) {
+  return new RegExp(`\\.${process.pid}\\.\\d+\\.tmp$`).test(name);
+}
+
+export async function readCachedSegment(dir, key) {
+  const { image, meta } = entryPaths(dir, key);
+  let buf;
+  try {
+    buf = await fsp.readFile(image);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  // Touch lastUsedAt so pruning keeps entries that are still being reused
+  try {
+    const data = JSON.parse(await fsp.readFile(meta, "utf-8"));
+    data.lastUsedAt = new Date().toISOString();
+    await writeAtomic(meta, JSON.stringify(data, null, 2));
+  } catch (err) {
+    if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+  }
+  return buf;
+}
+
+// Whether an entry exists, without touching lastUsedAt (used by dry runs)
+export async function hasCachedSegment(dir, key) {
+  try {
+    await fsp.access(entryPaths(dir, key).image);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function writeCachedSegment(dir, key, buf, info = {}) {
+  await fsp.mkdir(dir, { recursive: true });
+  const { image, meta } = entryPaths(dir, key);
+  const now = new Date().toISOString();
+  await writeAtomic(image, buf);
+  await writeAtomic(
+    meta,
+    JSON.stringify({ key, ...info, bytes: buf.length, createdAt: now, lastUsedAt: now }, null, 2)
+  );
+}
+
+export async function listCacheEntries(dir) {
+  let files;
+  try {
+    files = await fsp.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const f of files) {
+    if (!f.endsWith(".png")) continue;
+    const key = f.slice(0, -4);
+    const { image, meta } = entryPaths(dir, key);
+    let data = {};
+    try {
+      data = JSON.parse(await fsp.readFile(meta, "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+    }
+    const stat = await fsp.stat(image);
+    entries.push({
+      key,
+      bytes: stat.size,
+      createdAt: data.createdAt || stat.mtime.toISOString(),
+      lastUsedAt: data.lastUsedAt || stat.mtime.toISOString(),
+      ...data,
+    });
+  }
+  return entries.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+}
+
+async function removeEntry(dir, key) {
+  const { image, meta } = entryPaths(dir, key);
+  await fsp.rm(image, { force: true });
+  await fsp.rm(meta, { force: true });
+}
+
+// Remove entries matching a filter: { all }, { key } (full key or prefix),
+// or { segment, inputDir } (segment number as recorded by the last run).
+export async function invalidateCache(dir, filter) {
+  const entries = await listCacheEntries(dir);
+  const matches = entries.filter((e) => {
+    if (filter.all) return true;
+    if (filter.key) return e.key.startsWith(filter.key);
+    if (filter.segment != null) {
+      if (e.segment !== filter.segment) return false;
+      return !filter.inputDir || e.inputDir === filter.inputDir;
+    }
+    return false;
+  });
+  for (const e of matches) await removeEntry(dir, e.key);
+  return matches.length;
+}
+
+// Drop entries not used within maxAgeDays, then evict least-recently-used
+// entries until the cache fits in maxBytes. Stray temp files are cleaned too.
+export async function pruneCache(dir, { maxAgeDays = Infinity, maxBytes = Infinity } = {}) {
+  const entries = await listCacheEntries(dir);
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  let freed = 0;
+
+  const keep = [];
+  for (const e of entries) {
+    if (Date.parse(e.lastUsedAt) < cutoff) {
+      await removeEntry(dir, e.key);
+      removed++;
+      freed += e.bytes;
+    } else {
+      keep.push(e);
+    }
+  }
+
+  // keep is sorted oldest-used first
+  let total = keep.reduce((sum, e) => sum + e.bytes, 0);
+  while (total > maxBytes && keep.length > 0) {
+    const e = keep.shift();
+    await removeEntry(dir, e.key);
+    removed++;
+    freed += e.bytes;
+    total -= e.bytes;
+  }
+
+  for (const f of await fsp.readdir(dir).catch(() => [])) {
+    if (f.endsWith(".tmp")) await fsp.rm(path.join(dir, f), { force: true });
+  }
+
+  return { removed, freed, remaining: keep.length, bytes: total };
+}
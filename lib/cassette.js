@@ -0,0 +1,115 @@
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { writeAtomic } from "./cache.js";
+import { log } from "./log.js";
+
+// ── API cassettes ──────────────────────────────────────────────────────────
+// Record and replay of Responses API calls. "record" passes every
+// responses.create call through and saves the request's fingerprint with
+// the full response (generated image and usage included); "replay" answers
+// from those recordings and never opens a connection, so a bad colorization
+// can be reproduced — and everything after the API call re-tuned — for free.
+//
+// Layout: <dir>/<fingerprint>.json, one file per call:
+//   { fingerprint, imageKey, recordedAt, request, response }
+// The fingerprint is a hash of the whole request, and replay serves only
+// an exact match by default. imageKey leaves out the text: with
+// `matchImages`, a request whose prompt has changed since recording (the
+// learned context grew, say) falls back to the call made for the same
+// images. That gives up exact reproduction — an adherence re-request, same
+// images with a correction note, gets the first attempt again — so it is
+// opt-in. `request` is the request as sent, with each image replaced by its
+// hash and size — for reading, not for matching.
+
+export const CASSETTE_MODES = ["off", "record", "replay"];
+
+// JSON with object keys sorted, so equal requests always hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Every image URL in the request, in order
+function imageUrls(params) {
+  return params.input.flatMap((msg) => msg.content.filter((c) => c.type === "input_image").map((c) => c.image_url));
+}
+
+function imageKey(params) {
+  return sha256(canonical({ model: params.model, tools: params.tools ?? [], images: imageUrls(params) }));
+}
+
+function readable(params) {
+  return JSON.parse(JSON.stringify(params), (key, value) => {
+    if (key !== "image_url" || typeof value !== "string") return value;
+    return `sha256:${sha256(value).slice(0, 16)} (${Math.round(value.length * 0.75 / 1024)} KB)`;
+  });
+}
+
+async function readRecording(file) {
+  try {
+    return JSON.parse(await fsp.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Cannot read cassette ${file}: ${err.message}`);
+  }
+}
+
+// A client with the same responses.create as the one getClient returns.
+// In replay mode getClient is never called, so no API key is needed.
+export function cassetteClient(getClient, { mode, dir, matchImages = false }) {
+  let byImages = null; // Promise of imageKey → recording, read on the first miss
+
+  async function indexByImages() {
+    const index = new Map();
+    const names = await fsp.readdir(dir).catch(() => []);
+    for (const name of names.filter((n) => n.endsWith(".json")).sort()) {
+      const recording = await readRecording(path.join(dir, name));
+      if (recording?.imageKey) index.set(recording.imageKey, recording);
+    }
+    return index;
+  }
+
+  async function findByImages(key) {
+    byImages ??= indexByImages();
+    return (await byImages).get(key) ?? null;
+  }
+
+  return {
+    responses: {
+      async create(params) {
+        const fingerprint = sha256(canonical(params));
+        const file = path.join(dir, `${fingerprint}.json`);
+
+        if (mode === "record") {
+          const response = await getClient().responses.create(params);
+          await fsp.mkdir(dir, { recursive: true });
+          await writeAtomic(file, JSON.stringify({
+            fingerprint,
+            imageKey: imageKey(params),
+            recordedAt: new Date().toISOString(),
+            request: readable(params),
+            response,
+          }, null, 2));
+          return response;
+        }
+
+        const exact = await readRecording(file);
+        if (exact) return exact.response;
+        const similar = matchImages && await findByImages(imageKey(params));
+        if (similar) {
+          log(`    Cassette: prompt changed since recording — replaying ${similar.fingerprint.slice(0, 12)}, recorded for the same images`);
+          return similar.response;
+        }
+        throw new Error(`No recorded response in ${dir} for this request (fingerprint ${fingerprint.slice(0, 12)}${matchImages ? "" : "; CASSETTE_MATCH_IMAGES=true replays a call for the same images"})`);
+      },
+    },
+  };
+}
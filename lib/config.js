@@ -0,0 +1,258 @@
+import path from "node:path";
+import { sourceKind, sourceName } from "./sources.js";
+
+// ── Configuration ──────────────────────────────────────────────────────────
+// Every setting of a run as one plain object. The CLI resolves it from .env
+// and flags (resolveConfig({}, process.env)); library callers pass the same
+// settings as camelCase options (QUALITY → quality, MAX_SEGMENT_HEIGHT →
+// maxSegmentHeight). An option wins over the environment, which wins over
+// the default. Resolving a resolved config again returns the same settings,
+// so a config can be passed on wherever options are taken.
+
+// Process exit codes used by the CLI (colorizer.js)
+export const EXIT = {
+  OK: 0,
+  ERROR: 1,      // unexpected failure
+  USAGE: 2,      // bad command, flag or argument
+  CONFIG: 3,     // bad configuration or inputs (missing key, palette, input files)
+  PARTIAL: 4,    // finished, but some segments fell back to B&W
+};
+
+// Errors the user can fix by changing configuration or inputs
+export function configError(message) {
+  return Object.assign(new Error(message), { exitCode: EXIT.CONFIG });
+}
+
+// Errors in how a command was invoked
+export function usageError(message) {
+  return Object.assign(new Error(message), { exitCode: EXIT.USAGE });
+}
+
+// option → [environment variable, type, default]. Types:
+//   string, lower   text (lower: lowercased)
+//   number          0 or not a number means the default
+//   count           a number of at least 0
+//   fraction        a number clamped to 0-1
+//   boolean         "true" / "false" in the environment
+//   gutters         a GUTTER_COLORS list, parsed
+const SETTINGS = {
+  // A directory of slices, a .cbz/.zip archive or a .pdf (see lib/sources.js)
+  inputDir: ["INPUT_DIR", "string", "./input"],
+  outputDir: ["OUTPUT_DIR", "string", "./output"],
+
+  // Export — a named preset (see lib/exports.js) sets the output slice size,
+  // format, color profile and per-file size limit. The single settings after
+  // it override one field of it each; unset, the preset decides.
+  exportPreset: ["EXPORT_PRESET", "string", "standard"],
+  exportPresetsFile: ["EXPORT_PRESETS_FILE", "string", ""],
+  outputWidth: ["OUTPUT_WIDTH", "number", undefined],
+  outputHeight: ["OUTPUT_HEIGHT", "number", undefined],
+  outputFormat: ["OUTPUT_FORMAT", "lower", undefined],
+  outputQuality: ["OUTPUT_QUALITY", "number", undefined],
+  colorProfile: ["COLOR_PROFILE", "lower", undefined],
+  maxFileKb: ["MAX_FILE_KB", "count", undefined],
+
+  // How output slices are cut (see "Re-slice" in lib/pipeline.js) and, for
+  // "panel", how far in output rows a cut may move to reach a gutter
+  resliceMode: ["RESLICE_MODE", "lower", "fill"],
+  resliceTolerance: ["RESLICE_TOLERANCE", "number", 320],
+
+  darkThreshold: ["DARK_THRESHOLD", "number", 20],
+  minGapHeight: ["MIN_GAP_HEIGHT", "number", 30],
+  edgeTolerance: ["EDGE_TOLERANCE", "number", 0.02],
+
+  // Which gutter colors count as safe split bands (comma-separated):
+  //   black   — every channel below darkThreshold (default)
+  //   white   — every channel above lightThreshold (white / light-gray gutters)
+  //   auto    — any flat color, sampled per row, within gutterTolerance
+  //   #RRGGBB — a specific flat color, within gutterTolerance
+  gutterColors: ["GUTTER_COLORS", "gutters", "black"],
+  lightThreshold: ["LIGHT_THRESHOLD", "number", 220],
+  gutterTolerance: ["GUTTER_TOLERANCE", "number", 24],
+
+  // Save intermediate images to ./debug/
+  debug: ["DEBUG", "boolean", false],
+
+  // Image generation quality tier: "low", "medium", or "high".
+  // Controls image gen quality, input resolution, and vision detail.
+  quality: ["QUALITY", "lower", "medium"],
+
+  // Colorization backend: "responses" (GPT-5.2 + image_generation tool, default),
+  // "images" (gpt-image edit endpoint directly), "http" (self-hosted server at
+  // httpBackendUrl) or "stub" (deterministic local tint — no network, no key).
+  backend: ["BACKEND", "lower", "responses"],
+  httpBackendUrl: ["HTTP_BACKEND_URL", "string", ""],
+  httpBackendToken: ["HTTP_BACKEND_TOKEN", "string", ""],
+  openaiApiKey: ["OPENAI_API_KEY", "string", ""],
+
+  // Character palette — selects a JSON file from ./palettes/
+  palette: ["PALETTE", "string", "intro"],
+
+  // Story arc — chapters of the same arc share learned context
+  // (./palettes/<arc>_context.json). Defaults to the palette name.
+  arc: ["ARC", "string", undefined],
+
+  // Extra prompt notes for this chapter (e.g. "night scenes, lit by neon signs")
+  promptNotes: ["PROMPT_NOTES", "string", ""],
+
+  // Per-scene lighting and mood notes for ranges of slices (see
+  // lib/scenes.js). Ignored when the file doesn't exist. Defaults to
+  // scenes.json in the input directory; for an archive or PDF input it
+  // sits next to it: ch01.cbz → ch01.scenes.json.
+  scenesFile: ["SCENES_FILE", "string", undefined],
+
+  // Resolution PDF pages are rasterised at
+  pdfDpi: ["PDF_DPI", "number", 150],
+
+  // Also write the output slices as one CBZ with a ComicInfo.xml: a file
+  // path, or "true" for <outputDir>/<input name>.cbz. comicSeries fills the
+  // ComicInfo series when the input archive doesn't name one.
+  outputCbz: ["OUTPUT_CBZ", "string", ""],
+  comicSeries: ["COMIC_SERIES", "string", ""],
+
+  // When set, a JSON summary of the run is written here (used by the series
+  // command for its per-chapter summaries)
+  summaryFile: ["SUMMARY_FILE", "string", ""],
+
+  // Per-segment record of the run's decisions (see lib/manifest.js),
+  // written to <outputDir>/manifest.json unless manifestFile says otherwise
+  manifest: ["MANIFEST", "boolean", true],
+  manifestFile: ["MANIFEST_FILE", "string", ""],
+
+  // Max height (in pixels) for a single segment sent to the API.
+  // Taller segments (long scenes with no panel gap) are cut into overlapping
+  // tiles that are colorized in sequence and cross-faded back together.
+  maxSegmentHeight: ["MAX_SEGMENT_HEIGHT", "number", 4000],
+
+  // Tile height for tall segments. Default is 1.5x the strip width, matching
+  // the 1024x1536 portrait API size so tiles are sent with no squashing.
+  tileHeight: ["TILE_HEIGHT", "number", 0], // 0 = derive from width
+
+  // Rows shared by neighbouring tiles: colorized context for the next tile
+  // and the band the two are cross-faded over.
+  tileOverlap: ["TILE_OVERLAP", "number", 192],
+
+  // Intelligent context capture — learns color choices for unlocked elements.
+  // At most contextMaxEntries learned colors (best-confirmed first) go into
+  // each prompt.
+  captureContext: ["CAPTURE_CONTEXT", "boolean", true],
+  contextMaxEntries: ["CONTEXT_MAX_ENTRIES", "count", 40],
+
+  // Reference images — already-colorized images sent with each segment so
+  // colors carry across panels: "neighbor" attaches the previous segment,
+  // keyFrame a chosen image (e.g. a finished slice). Both are downscaled to
+  // fit referenceSize px to keep their token cost small.
+  referenceMode: ["REFERENCE_MODE", "lower", "none"],
+  keyFrame: ["KEY_FRAME", "string", ""],
+  referenceSize: ["REFERENCE_SIZE", "number", 512],
+
+  // Black restoration post-processing
+  restoreBlacks: ["RESTORE_BLACKS", "boolean", true],
+
+  // Speech bubble protection — pastes detected bubbles back from the original
+  // so lettering is pixel-perfect
+  protectBubbles: ["PROTECT_BUBBLES", "boolean", true],
+
+  // Luminance lock — keep only hue/saturation from the model and take
+  // lightness from the original full-res segment, so line art, screentone and
+  // text stay exactly as drawn. Strength 1 = original lightness only, 0 = off.
+  lumaLock: ["LUMA_LOCK", "boolean", false],
+  lumaLockStrength: ["LUMA_LOCK_STRENGTH", "fraction", 1],
+
+  // Screentone (see lib/screentone.js) — descreen smooths halftone regions
+  // into flat gray before a segment is sent, dissolving dots with a blur of
+  // descreenSigma px. retone decides what those regions get afterwards:
+  // "smooth" keeps the flat color, "tone" lays the original dot texture back
+  // over it at retoneStrength (0-1).
+  descreen: ["DESCREEN", "boolean", false],
+  descreenSigma: ["DESCREEN_SIGMA", "number", 2.5],
+  retone: ["RETONE", "lower", "smooth"],
+  retoneStrength: ["RETONE_STRENGTH", "fraction", 0.6],
+
+  // Palette adherence — score each colorized segment on how closely it kept
+  // the palette's locked colors (see lib/adherence.js). Below adherenceMin
+  // (0-1, 0 = never) the segment is re-requested with the drifted colors
+  // spelled out, up to adherenceRetries times; the best-scoring result is kept.
+  // Off by default: unless scene notes name who is in a segment, colors are
+  // matched against the whole palette.
+  adherenceCheck: ["ADHERENCE_CHECK", "boolean", false],
+  adherenceMin: ["ADHERENCE_MIN", "fraction", 0],
+  adherenceRetries: ["ADHERENCE_RETRIES", "count", 1],
+
+  // Stop before the first API call: print a cost forecast and write an
+  // annotated preview instead (see "Dry run" in lib/pipeline.js)
+  dryRun: ["DRY_RUN", "boolean", false],
+
+  // Number of segments colorized in parallel. All workers share one rate
+  // limiter, so a 429 from any of them slows every worker down.
+  concurrency: ["CONCURRENCY", "number", 3],
+
+  // Segment cache — reuses API output for segments whose pixels, prompt,
+  // quality and API size are unchanged. Off means always re-request.
+  cache: ["CACHE", "boolean", true],
+  cacheDir: ["CACHE_DIR", "string", "./cache"],
+  cacheMaxAgeDays: ["CACHE_MAX_AGE_DAYS", "number", 30],
+  cacheMaxMb: ["CACHE_MAX_MB", "number", 2048],
+
+  // Costs — JSON file overriding the built-in pricing table (see lib/costs.js),
+  // a hard cap in USD for one run (0 = no cap), and the file each run's spend
+  // is appended to.
+  pricingFile: ["PRICING_FILE", "string", ""],
+  maxBudget: ["MAX_BUDGET", "number", 0],
+  ledgerFile: ["LEDGER_FILE", "string", "./ledger.jsonl"],
+
+  // API cassettes (see lib/cassette.js): "record" saves every Responses API
+  // call to cassetteDir, "replay" answers from there with no network. Both
+  // bypass the segment cache, so every call is recorded or replayed.
+  // cassetteMatchImages lets replay fall back to a call recorded for the
+  // same images under a different prompt.
+  cassetteMode: ["CASSETTE_MODE", "lower", "off"],
+  cassetteDir: ["CASSETTE_DIR", "string", "./cassettes"],
+  cassetteMatchImages: ["CASSETTE_MATCH_IMAGES", "boolean", false],
+};
+
+function parse(type, value, fallback) {
+  if (value === undefined || value === null || value === "") value = fallback;
+  if (value === undefined) return undefined;
+  switch (type) {
+    case "lower": return String(value).toLowerCase();
+    case "number": return Number(value) || fallback;
+    case "count": return Math.max(0, Number(value) || 0);
+    case "fraction": return Math.min(1, Math.max(0, Number(value) || 0));
+    case "boolean": return typeof value === "boolean" ? value : fallback ? value !== "false" : value === "true";
+    case "gutters": return parseGutterColors(value);
+    default: return String(value);
+  }
+}
+
+// "black,#1A1A1A" → [{ kind: "black" }, { kind: "color", rgb: [26, 26, 26] }]
+function parseGutterColors(spec) {
+  if (Array.isArray(spec)) return spec;
+  return spec.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean).map((t) => {
+    if (t === "black" || t === "white" || t === "auto") return { kind: t };
+    const m = t.match(/^#?([0-9a-f]{6})$/);
+    if (!m) throw configError(`Invalid GUTTER_COLORS entry "${t}" (use black, white, auto or #RRGGBB)`);
+    const n = parseInt(m[1], 16);
+    return { kind: "color", rgb: [(n >> 16) & 255, (n >> 8) & 255, n & 255] };
+  });
+}
+
+// options: settings by option name; env: settings by variable name
+// (process.env for the CLI). Unknown options are ignored.
+export function resolveConfig(options = {}, env = {}) {
+  const config = {};
+  for (const [name, [variable, type, fallback]] of Object.entries(SETTINGS)) {
+    config[name] = parse(type, options[name] ?? env[variable], fallback);
+  }
+
+  config.concurrency = Math.max(1, config.concurrency);
+  if (config.cassetteMode !== "off") config.cache = false;
+  config.arc ||= config.palette;
+  config.scenesFile ||= sourceKind(config.inputDir) === "directory"
+    ? path.join(config.inputDir, "scenes.json")
+    : config.inputDir.replace(/\.[^.]+$/, ".scenes.json");
+  if (config.outputCbz === "true") config.outputCbz = path.join(config.outputDir, `${sourceName(config.inputDir)}.cbz`);
+  if (config.outputCbz === "false") config.outputCbz = "";
+  config.manifestFile ||= path.join(config.outputDir, "manifest.json");
+  return config;
+}
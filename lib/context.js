@@ -0,0 +1,244 @@
+import fsp from "node:fs/promises";
+import { hexToOklab, colorDistance } from "./oklab.js";
+
+// ── Learned context store ──────────────────────────────────────────────────
+// Colors the model picked for elements the palette doesn't lock (walls,
+// props, unnamed clothes), captured after each segment and fed back into
+// later prompts. One entry per element, in <arc>_context.json:
+//
+//   {
+//     "key": "shop wall",                    — normalized element name
+//     "element": "shop walls/ceiling",       — as first described
+//     "color": "#6F6232",
+//     "note": "muted olive-khaki (#6F6232)",
+//     "seen": 3,                             — observations agreeing with color
+//     "confidence": 0.75,                    — seen / all observations
+//     "alternatives": [{ "color": "#F3DFB3", "note": "...", "seen": 1, "source": {...} }],
+//     "pinned": false,
+//     "source": { "input": "ch01", "segment": 4 },
+//     "updatedAt": "..."
+//   }
+//
+// An observation of a known element either confirms its color (the same
+// within SAME_COLOR in OKLab) or counts toward an alternative. Conflicts
+// resolve by majority: an alternative seen more often than the current
+// color replaces it. A tie is flagged, and flagged entries stay out of
+// prompts until another observation breaks the tie or the entry is edited.
+// Pinned entries ignore observations.
+//
+// Old files ({ "learned": ["element: description (#hex)", ...] }) are
+// migrated on load, so their duplicates collapse into conflicts.
+
+const SAME_COLOR = 0.07;
+const KEY_MATCH = 0.6;     // min word overlap (Jaccard) for two names to be one element
+const STORE_LIMIT = 200;   // entries kept on disk; the lowest-ranked unpinned go first
+
+const STOP_WORDS = new Set(["a", "an", "the", "and", "of", "with", "in", "on", "at", "interior", "generic"]);
+
+// "Shop walls/ceiling (back room)" → "shop wall ceiling"
+export function elementKey(element) {
+  return element
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w !== "" && !STOP_WORDS.has(w))
+    .map(singular)
+    .join(" ");
+}
+
+// Rough English plural stripping — enough for "boxes", "walls", "glasses"
+function singular(w) {
+  if (w.length > 4 && /(x|ch|sh|ss)es$/.test(w)) return w.slice(0, -2);
+  if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) return w.slice(0, -1);
+  return w;
+}
+
+function keyOverlap(a, b) {
+  const x = new Set(a.split(" "));
+  const y = new Set(b.split(" "));
+  const shared = [...x].filter((w) => y.has(w)).length;
+  return shared / (x.size + y.size - shared);
+}
+
+// The entry an element name refers to: an exact key, else the closest key
+// sharing enough words
+export function findEntry(store, element) {
+  const key = elementKey(element);
+  if (!key) return null;
+  const exact = store.entries.find((e) => e.key === key);
+  if (exact) return exact;
+  let best = null;
+  let bestOverlap = KEY_MATCH;
+  for (const e of store.entries) {
+    const overlap = keyOverlap(key, e.key);
+    if (overlap >= bestOverlap) {
+      bestOverlap = overlap;
+      best = e;
+    }
+  }
+  return best;
+}
+
+// "floor tiles: warm beige (#D6B06A)" → { element, note, color }
+export function parseObservation(text) {
+  const m = String(text).match(/^\s*([^:]+?)\s*:\s*(.+?)\s*$/);
+  if (!m) return null;
+  const hex = m[2].match(/#[0-9A-Fa-f]{6}\b/);
+  return { element: m[1], note: m[2], color: hex ? hex[0].toUpperCase() : null };
+}
+
+function sameColor(a, b) {
+  if (!a || !b) return a === b;
+  return colorDistance(hexToOklab(a), hexToOklab(b)) <= SAME_COLOR;
+}
+
+function refresh(entry) {
+  const total = entry.seen + entry.alternatives.reduce((sum, a) => sum + a.seen, 0);
+  entry.confidence = entry.pinned ? 1 : Math.round((entry.seen / total) * 100) / 100;
+  entry.updatedAt = new Date().toISOString();
+}
+
+export function isFlagged(entry) {
+  return !entry.pinned && entry.alternatives.some((a) => a.seen >= entry.seen);
+}
+
+// Fold observations (capture strings) into the store. Returns counts:
+// { added, confirmed, replaced, flagged, outvoted, ignored }.
+export function observe(store, observations, source) {
+  const counts = { added: 0, confirmed: 0, replaced: 0, flagged: 0, outvoted: 0, ignored: 0 };
+  for (const text of observations) {
+    const obs = parseObservation(text);
+    const key = obs && elementKey(obs.element);
+    if (!key) {
+      counts.ignored++;
+      continue;
+    }
+
+    const entry = findEntry(store, obs.element);
+    if (!entry) {
+      const created = { key, element: obs.element, color: obs.color, note: obs.note, seen: 1, alternatives: [], pinned: false, source };
+      refresh(created);
+      store.entries.push(created);
+      counts.added++;
+      continue;
+    }
+    if (entry.pinned) {
+      counts.ignored++;
+      continue;
+    }
+    if (sameColor(entry.color, obs.color)) {
+      entry.seen++;
+      entry.source = source;
+      refresh(entry);
+      counts.confirmed++;
+      continue;
+    }
+
+    let alt = entry.alternatives.find((a) => sameColor(a.color, obs.color));
+    if (alt) {
+      alt.seen++;
+      alt.source = source;
+    } else {
+      alt = { color: obs.color, note: obs.note, seen: 1, source };
+      entry.alternatives.push(alt);
+    }
+    if (alt.seen > entry.seen) {
+      // The alternative now has the majority — swap it in
+      entry.alternatives = entry.alternatives.filter((a) => a !== alt);
+      entry.alternatives.push({ color: entry.color, note: entry.note, seen: entry.seen, source: entry.source });
+      Object.assign(entry, { color: alt.color, note: alt.note, seen: alt.seen, source: alt.source });
+      counts.replaced++;
+    } else if (alt.seen === entry.seen) {
+      counts.flagged++;
+    } else {
+      counts.outvoted++;
+    }
+    refresh(entry);
+  }
+  return counts;
+}
+
+// Best entries first: pinned, then by agreeing observations weighted by
+// confidence. Ties keep store order (sort is stable), so the same store
+// always ranks the same way.
+function rank(a, b) {
+  if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+  return b.seen * b.confidence - a.seen * a.confidence;
+}
+
+export function rankedEntries(store) {
+  return [...store.entries].sort(rank);
+}
+
+// Entries injected into prompts: the best `max`, flagged ones left out.
+// They are returned in store order, so the prompt (and with it the cache
+// key) only changes when the selection does.
+export function promptEntries(store, max) {
+  const chosen = new Set(rankedEntries(store).filter((e) => !isFlagged(e)).slice(0, max));
+  return store.entries.filter((e) => chosen.has(e));
+}
+
+// ── Manual changes ─────────────────────────────────────────────────────────
+// An edited entry is pinned: a hand-picked color shouldn't be outvoted by
+// the next few captures.
+
+export function editEntry(store, element, color, note) {
+  let entry = findEntry(store, element);
+  if (!entry) {
+    entry = { key: elementKey(element), element, seen: 1 };
+    store.entries.push(entry);
+  }
+  Object.assign(entry, {
+    color,
+    note: note ? `${note} (${color})` : color,
+    alternatives: [],
+    pinned: true,
+    source: { manual: true },
+  });
+  refresh(entry);
+  return entry;
+}
+
+export function setPinned(entry, pinned) {
+  entry.pinned = pinned;
+  // Pinning settles a conflict in favour of the current color
+  if (pinned) entry.alternatives = [];
+  refresh(entry);
+}
+
+export function deleteEntry(store, entry) {
+  store.entries = store.entries.filter((e) => e !== entry);
+}
+
+// ── Storage ────────────────────────────────────────────────────────────────
+
+export async function loadStore(file) {
+  let text;
+  try {
+    text = await fsp.readFile(file, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return { version: 2, entries: [] };
+    throw err;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Context file ${file} is not valid JSON: ${err.message}`);
+  }
+  if (Array.isArray(data.learned)) {
+    const store = { version: 2, entries: [] };
+    observe(store, data.learned, { migrated: true });
+    return store;
+  }
+  return { version: 2, entries: data.entries || [] };
+}
+
+export async function saveStore(file, store) {
+  let entries = store.entries;
+  if (entries.length > STORE_LIMIT) {
+    const keep = new Set(rankedEntries(store).slice(0, STORE_LIMIT));
+    entries = entries.filter((e) => e.pinned || keep.has(e));
+  }
+  await fsp.writeFile(file, JSON.stringify({ version: 2, entries }, null, 2));
+}
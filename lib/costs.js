@@ -0,0 +1,166 @@
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { warn } from "./log.js";
+
+// ── Pricing ────────────────────────────────────────────────────────────────
+// USD. Token rates are per 1M tokens. The image_generation tool doesn't
+// report image tokens in the Responses API usage, so tool images are priced
+// per image from `images` instead. `callOverhead` is added to every
+// forecast or budget reservation for the tokens around the image (prompt,
+// vision input) that are only known once the call returns.
+//
+// Check these against current OpenAI pricing; override any part of them
+// with a JSON file in the same shape (PRICING_FILE).
+
+export const DEFAULT_PRICING = {
+  models: {
+    "gpt-5.2": { input: 1.75, cachedInput: 0.175, output: 14 },
+    "gpt-image-1.5": { input: 5, cachedInput: 1.25, imageInput: 8, cachedImageInput: 2, output: 32 },
+  },
+  images: {
+    "gpt-image-1.5": {
+      low: { "1024x1024": 0.009, "1024x1536": 0.013, "1536x1024": 0.013 },
+      medium: { "1024x1024": 0.034, "1024x1536": 0.05, "1536x1024": 0.05 },
+      high: { "1024x1024": 0.133, "1024x1536": 0.2, "1536x1024": 0.2 },
+    },
+  },
+  callOverhead: 0.05,
+  // Flat per-call price for BACKEND=http when the server reports no cost
+  httpPerCall: 0,
+};
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(override)) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+
+// DEFAULT_PRICING with the file at `file` (if any) merged over it
+export async function loadPricing(file) {
+  if (!file) return DEFAULT_PRICING;
+  const override = JSON.parse(await fsp.readFile(file, "utf-8"));
+  if (!isPlainObject(override)) throw new Error(`${file} must contain a JSON object`);
+  return deepMerge(DEFAULT_PRICING, override);
+}
+
+// Each missing price is reported once per run, not once per call
+const warned = new Set();
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  warn(`    WARNING: ${message}`);
+}
+
+export function imagePrice(pricing, model, quality, size) {
+  const price = pricing.images[model]?.[quality]?.[size];
+  if (price == null) {
+    warnOnce(`No price for ${model} ${quality} ${size} images — counted as $0. Add it to PRICING_FILE.`);
+    return 0;
+  }
+  return price;
+}
+
+function tokenCost(usage, pricing) {
+  const rates = pricing.models[usage.model];
+  if (!rates) {
+    warnOnce(`No token pricing for model "${usage.model}" — counted as $0. Add it to PRICING_FILE.`);
+    return 0;
+  }
+  const details = usage.input_tokens_details || {};
+  const cached = details.cached_tokens || 0;
+  // Image models split input into text and image tokens
+  const imageIn = details.image_tokens || 0;
+  const textIn = Math.max(0, (usage.input_tokens || 0) - imageIn - cached);
+  return (
+    textIn * rates.input +
+    cached * (rates.cachedInput ?? rates.input) +
+    imageIn * (rates.imageInput ?? rates.input) +
+    (usage.output_tokens || 0) * rates.output
+  ) / 1_000_000;
+}
+
+// USD cost of one call from the usage its backend returned:
+//   { model, input_tokens, output_tokens, input_tokens_details, images: [{ model, quality, size }] }
+// A plain { cost } (e.g. from an http backend) is taken as-is; null is free.
+export function usageCost(usage, pricing) {
+  if (!usage) return 0;
+  if (typeof usage.cost === "number") return usage.cost;
+  const tokens = usage.model ? tokenCost(usage, pricing) : 0;
+  const images = (usage.images || []).reduce(
+    (sum, img) => sum + imagePrice(pricing, img.model, img.quality, img.size),
+    0
+  );
+  return tokens + images;
+}
+
+// ── Budget ─────────────────────────────────────────────────────────────────
+// Shared by every worker. A call reserves its estimated cost before it is
+// made and releases the reservation once its actual cost is known, so
+// calls in flight count against the cap too. The first reservation that
+// doesn't fit exhausts the budget: no new calls are started after that,
+// even cheaper ones, so a run never skips one segment and colorizes the next.
+
+export function createBudget(max = Infinity) {
+  let spent = 0;
+  let reserved = 0;
+  let exhausted = false;
+
+  return {
+    get max() {
+      return max;
+    },
+    get spent() {
+      return spent;
+    },
+    get exhausted() {
+      return exhausted;
+    },
+
+    reserve(amount) {
+      if (exhausted) return false;
+      if (spent + reserved + amount > max) {
+        exhausted = true;
+        return false;
+      }
+      reserved += amount;
+      return true;
+    },
+
+    release(amount) {
+      reserved = Math.max(0, reserved - amount);
+    },
+
+    spend(amount) {
+      spent += amount;
+    },
+  };
+}
+
+// ── Ledger ─────────────────────────────────────────────────────────────────
+// One JSON object per line, appended at the end of every colorize run, so
+// spend can be totalled across chapters and sessions.
+
+export async function appendLedger(file, entry) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.appendFile(file, JSON.stringify(entry) + "\n");
+}
+
+export async function readLedger(file) {
+  let raw;
+  try {
+    raw = await fsp.readFile(file, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return raw
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+}
@@ -0,0 +1,165 @@
+import fsp from "node:fs/promises";
+import sharp from "sharp";
+
+// ── Export presets ─────────────────────────────────────────────────────────
+// A preset is everything a hosting platform dictates about output slices:
+//
+//   width, height  slice size in px (height is the cut height in fixed and
+//                  panel re-slice modes, and the stretched height in fill)
+//   format         png, jpeg, webp, avif, or auto (the input's format:
+//                  JPEG for .jpg inputs, WebP for .webp, PNG otherwise)
+//   quality        starting (= highest) encoder quality; default per format
+//   profile        srgb or p3 to embed that color profile, none to embed none
+//   maxKB          per-file size limit in KB (0 = no limit)
+//
+// Custom presets live in a JSON file (EXPORT_PRESETS_FILE) keyed by name.
+// Each one starts from the preset named in "extends" (default: standard),
+// so it only lists what differs:
+//
+//   {
+//     "tapas": { "extends": "hd", "format": "jpeg", "maxKB": 2048 },
+//     "archive": { "format": "avif", "quality": 70, "profile": "p3" }
+//   }
+//
+// A custom preset with a built-in's name replaces it.
+
+export const EXPORT_PRESETS = {
+  standard: { width: 800, height: 1280, format: "auto", profile: "srgb", maxKB: 0 },
+  hd: { width: 1600, height: 2560, format: "auto", profile: "srgb", maxKB: 0 },
+};
+
+// Extension, default quality and the floor of the quality search per format.
+// PNG is tried lossless first, then palette-quantized at falling quality.
+const FORMATS = {
+  png: { ext: ".png", quality: 100, minQuality: 20 },
+  jpeg: { ext: ".jpg", quality: 95, minQuality: 40 },
+  webp: { ext: ".webp", quality: 90, minQuality: 40 },
+  avif: { ext: ".avif", quality: 60, minQuality: 25 },
+};
+
+const PROFILES = ["srgb", "p3", "none"];
+const PRESET_FIELDS = ["extends", "width", "height", "format", "quality", "profile", "maxKB"];
+
+export async function loadExportPresets(file) {
+  if (!file) return EXPORT_PRESETS;
+  const custom = JSON.parse(await fsp.readFile(file, "utf-8"));
+  if (custom === null || typeof custom !== "object" || Array.isArray(custom)) {
+    throw new Error(`${file} must contain a JSON object of presets`);
+  }
+  return { ...EXPORT_PRESETS, ...custom };
+}
+
+function presetProblems(where, p) {
+  const problems = [];
+  for (const key of Object.keys(p)) {
+    if (!PRESET_FIELDS.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+  }
+  for (const key of ["width", "height"]) {
+    if (p[key] !== undefined && !(Number.isInteger(p[key]) && p[key] > 0)) {
+      problems.push(`${where}: "${key}" must be a positive whole number`);
+    }
+  }
+  if (p.format !== undefined && p.format !== "auto" && !FORMATS[p.format]) {
+    problems.push(`${where}: "format" must be auto, ${Object.keys(FORMATS).join(", ")}`);
+  }
+  if (p.quality !== undefined && !(Number.isInteger(p.quality) && p.quality >= 1 && p.quality <= 100)) {
+    problems.push(`${where}: "quality" must be a whole number from 1 to 100`);
+  }
+  if (p.profile !== undefined && !PROFILES.includes(p.profile)) {
+    problems.push(`${where}: "profile" must be ${PROFILES.join(", ")}`);
+  }
+  if (p.maxKB !== undefined && !(typeof p.maxKB === "number" && p.maxKB >= 0)) {
+    problems.push(`${where}: "maxKB" must be a number of KB (0 = no limit)`);
+  }
+  return problems;
+}
+
+// The named preset with its "extends" chain applied and `overrides` (fields
+// set individually, e.g. OUTPUT_WIDTH) on top. Throws listing every problem.
+export function resolveExport(presets, name, overrides = {}) {
+  if (!presets[name]) {
+    throw new Error(`Unknown export preset "${name}" (available: ${Object.keys(presets).join(", ")})`);
+  }
+
+  const chain = [];
+  const problems = [];
+  for (let n = name; n !== undefined; ) {
+    if (chain.includes(n)) {
+      problems.push(`preset "${name}": "extends" loops back to "${n}"`);
+      break;
+    }
+    const p = presets[n];
+    if (!p || typeof p !== "object") {
+      problems.push(`preset "${chain[chain.length - 1]}": extends unknown preset "${n}"`);
+      break;
+    }
+    chain.push(n);
+    problems.push(...presetProblems(`preset "${n}"`, p));
+    n = p.extends ?? (n === "standard" ? undefined : "standard");
+  }
+
+  const set = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
+  problems.push(...presetProblems("override", set));
+  if (problems.length > 0) throw new Error(`Export settings are invalid:\n  ${problems.join("\n  ")}`);
+
+  const merged = Object.assign({}, EXPORT_PRESETS.standard, ...chain.reverse().map((n) => presets[n]), set);
+  delete merged.extends;
+  return { name, ...merged };
+}
+
+// "auto" follows the input: JPEG and WebP slices keep their format, anything
+// else is PNG
+export function exportFormat(output, inputExt) {
+  if (output.format !== "auto") return output.format;
+  if (/\.jpe?g$/i.test(inputExt)) return "jpeg";
+  return /\.webp$/i.test(inputExt) ? "webp" : "png";
+}
+
+export function formatExtension(format) {
+  return FORMATS[format].ext;
+}
+
+function encode(buf, format, profile, quality) {
+  let img = sharp(buf);
+  if (profile !== "none") img = img.withIccProfile(profile);
+  switch (format) {
+    case "jpeg": return img.jpeg({ quality, mozjpeg: true }).toBuffer();
+    case "webp": return img.webp({ quality, effort: 5 }).toBuffer();
+    case "avif": return img.avif({ quality, effort: 4 }).toBuffer();
+    // quality null = lossless; otherwise palette-quantized
+    default: return quality === null
+      ? img.png({ compressionLevel: 9 }).toBuffer()
+      : img.png({ compressionLevel: 9, palette: true, quality }).toBuffer();
+  }
+}
+
+// Encode one slice. Without a size limit this is a single encode at the
+// preset quality; with one, a binary search finds the highest quality that
+// fits. Resolves to { data, quality, fits } — quality null for lossless PNG.
+// When even the lowest quality is too big, that smallest encode is returned
+// with fits = false.
+export async function encodeSlice(buf, output, format) {
+  const { quality: start, minQuality } = { ...FORMATS[format], ...(output.quality && { quality: output.quality }) };
+  const limit = output.maxKB > 0 ? output.maxKB * 1024 : Infinity;
+
+  const first = format === "png" ? null : start;
+  const data = await encode(buf, format, output.profile, first);
+  if (data.length <= limit) return { data, quality: first, fits: true };
+
+  let lo = Math.min(minQuality, start);
+  let hi = format === "png" ? start : start - 1;
+  let best = null;
+  let smallest = null;
+  while (lo <= hi) {
+    const q = Math.floor((lo + hi) / 2);
+    const attempt = await encode(buf, format, output.profile, q);
+    if (attempt.length <= limit) {
+      best = { data: attempt, quality: q, fits: true };
+      lo = q + 1;
+    } else {
+      if (!smallest || attempt.length < smallest.data.length) smallest = { data: attempt, quality: q, fits: false };
+      hi = q - 1;
+    }
+  }
+  return best || smallest || { data, quality: first, fits: false };
+}
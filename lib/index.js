@@ -0,0 +1,20 @@
+// ── Library entry point ────────────────────────────────────────────────────
+// import { colorizeChapter } from "webtooncolorizer";
+//
+// colorizeChapter runs the whole pipeline; the stages it is built from are
+// exported for callers that want to run or replace some of them. Settings
+// are the camelCase names of the .env variables (see lib/config.js), passed
+// as options; anything left out takes its default — the environment is
+// never read.
+
+export { EXIT, resolveConfig } from "./config.js";
+export {
+  colorizeChapter,
+  stitchSlices,
+  detectSafeSplitPoints,
+  splitAtPoints,
+  colorizeSegment,
+  restoreBlacks,
+  reassembleSegments,
+  reslice,
+} from "./pipeline.js";
@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// ── Run output ─────────────────────────────────────────────────────────────
+// What the pipeline prints goes through log() and warn(), which write to the
+// logger of the run they are part of (see withLogger): the console, unless a
+// library caller passed another one or silenced it. The logger is looked up
+// on every call, so two runs in one process keep their own, and a console
+// patched after loading (watch mode's log file) still sees every line.
+
+const current = new AsyncLocalStorage();
+
+const SILENT = { log() {}, warn() {} };
+
+export function log(...args) {
+  (current.getStore() ?? console).log(...args);
+}
+
+export function warn(...args) {
+  (current.getStore() ?? console).warn(...args);
+}
+
+// Run fn with `logger` (anything with log and warn methods; null for no
+// output) as the target of log() and warn()
+export function withLogger(logger, fn) {
+  return current.run(logger ?? SILENT, fn);
+}
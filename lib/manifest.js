@@ -0,0 +1,123 @@
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { imageHash, writeAtomic } from "./cache.js";
+
+// ── Run manifest ───────────────────────────────────────────────────────────
+// A JSON record of one colorize run, written next to its output
+// (MANIFEST_FILE). Where SUMMARY_FILE has totals, the manifest has one
+// entry per segment: the input rows and slices it came from, the split
+// points it was cut at and any tiny pieces merged into it, why it was
+// skipped, and for each API call the size picked, the resize chain, the
+// prompt hash, tokens and cost — plus retries, adherence attempts and
+// whether it fell back to B&W. Pixel hashes before and after let a QA
+// script diff two runs segment by segment and tell a changed input from a
+// changed decision.
+//
+// Shape: { version, startedAt, finishedAt, input, output, backend, prompt,
+// settings, strip, splitPoints, segments, slices, totals }. Rows are strip
+// rows unless named otherwise; slices are numbered as in the input file
+// names. Bump MANIFEST_VERSION when a field changes meaning.
+
+export const MANIFEST_VERSION = 1;
+
+// Never written out — the manifest is meant to be shared
+const SECRETS = ["openaiApiKey", "httpBackendToken"];
+
+export function promptHash(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex");
+}
+
+// The input slice and row within it that strip row `y` comes from
+function locate(y, targets, heights) {
+  let top = 0;
+  for (let k = 0; k < heights.length; k++) {
+    if (y < top + heights[k]) return { slice: targets[k].idx, row: y - top };
+    top += heights[k];
+  }
+  return null;
+}
+
+// The split point a segment edge was cut at (null at either end of the strip)
+function cutAt(row, splitPoints) {
+  const sp = splitPoints.find((p) => p.midPoint === row);
+  return sp ? { row, gap: sp.height, gapRows: [sp.startRow, sp.endRow], color: sp.color } : null;
+}
+
+async function segmentEntry(i, seg, r, { targets, heights, splitPoints }) {
+  const calls = r.stats.calls ?? [];
+  const endY = seg.startY + seg.height;
+  return {
+    segment: i + 1,
+    rows: [seg.startY, endY - 1],
+    size: `${seg.width}x${seg.height}`,
+    from: locate(seg.startY, targets, heights),
+    to: locate(endY - 1, targets, heights),
+    cutTop: cutAt(seg.startY, splitPoints),
+    cutBottom: cutAt(endY, splitPoints),
+    merged: seg.merged ?? [],
+    gutters: { top: seg.gutterTop, bottom: seg.gutterBottom },
+    scenes: seg.scenes.map((sc) => sc.label),
+    inputHash: await imageHash(seg.buffer),
+    outputHash: await imageHash(r.buffer),
+    status: r.status,
+    blankReason: r.blankReason ?? null,
+    fallback: ["failed", "over-budget"].includes(r.status) ? "original B&W" : null,
+    content: r.content ?? null,
+    references: r.references ?? [],
+    calls,
+    // API attempts beyond the ones that came back with an image
+    retries: Math.max(0, r.stats.apiCalls - calls.filter((c) => !c.cached).length),
+    adherence: r.adherence ?? null,
+    cost: r.stats.cost,
+    context: { calls: r.stats.contextCalls, cost: r.stats.contextCost, colors: r.newColors.length },
+  };
+}
+
+// run: what colorizeChapter knows once the output is saved — cfg, backend,
+// startedAt, prompt (with learned context), basePrompt, the strip from
+// loadStrip, the per-segment records, the folded stats and saved pages
+export async function buildManifest(run) {
+  const { cfg, strip, records, stats, pages } = run;
+  const { targets, heights, width, totalH, splitPoints, segments } = strip;
+  const entries = [];
+  for (let i = 0; i < segments.length; i++) {
+    entries.push(await segmentEntry(i, segments[i], records[i], strip));
+  }
+  return {
+    version: MANIFEST_VERSION,
+    startedAt: run.startedAt,
+    finishedAt: new Date().toISOString(),
+    input: path.resolve(cfg.inputDir),
+    output: path.resolve(cfg.outputDir),
+    backend: run.backend.name,
+    prompt: { hash: promptHash(run.prompt), baseHash: promptHash(run.basePrompt) },
+    settings: Object.fromEntries(Object.entries(cfg).filter(([k]) => !SECRETS.includes(k))),
+    strip: {
+      width,
+      height: totalH,
+      slices: targets.map((t, k) => ({ slice: t.idx, file: typeof t.file === "string" ? path.basename(t.file) : null, height: heights[k] })),
+    },
+    splitPoints: splitPoints.map((sp) => ({ row: sp.midPoint, gap: sp.height, gapRows: [sp.startRow, sp.endRow], color: sp.color })),
+    segments: entries,
+    slices: pages.map((p) => ({
+      file: p.name,
+      bytes: p.data.length,
+      sha256: crypto.createHash("sha256").update(p.data).digest("hex"),
+    })),
+    totals: {
+      apiCalls: stats.apiCalls,
+      cacheHits: stats.cacheHits,
+      contextCalls: stats.contextCalls,
+      colorizeCost: stats.cost,
+      contextCost: stats.contextCost,
+      failed: entries.filter((e) => e.status === "failed").map((e) => e.segment),
+      overBudget: entries.filter((e) => e.status === "over-budget").map((e) => e.segment),
+    },
+  };
+}
+
+export async function writeManifest(file, manifest) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await writeAtomic(file, JSON.stringify(manifest, null, 2));
+}
@@ -0,0 +1,48 @@
+// ── OKLab ──────────────────────────────────────────────────────────────────
+// sRGB (0–255) ↔ OKLab. L is perceptual lightness (0–1); a and b carry hue
+// and chroma, so Euclidean distance roughly tracks perceived difference.
+
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb8(c) {
+  const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(v * 255)));
+}
+
+export function rgbToOklab(r8, g8, b8) {
+  const r = SRGB_TO_LINEAR[r8], g = SRGB_TO_LINEAR[g8], b = SRGB_TO_LINEAR[b8];
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  ];
+}
+
+export function oklabToRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    linearToSrgb8(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    linearToSrgb8(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    linearToSrgb8(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+  ];
+}
+
+export function hexToOklab(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return rgbToOklab((n >> 16) & 255, (n >> 8) & 255, n & 255);
+}
+
+// Distance between two palette-style colors. Lightness is down-weighted:
+// cel shading moves L far more than it moves hue.
+export function colorDistance(p, q) {
+  return Math.hypot(0.5 * (p[0] - q[0]), p[1] - q[1], p[2] - q[2]);
+}
@@ -0,0 +1,361 @@
+import fsp from "node:fs/promises";
+import path from "node:path";
+
+// ── Palette schema ─────────────────────────────────────────────────────────
+// Version 2 palettes describe characters and objects with typed color slots;
+// the prompt text is generated from them. Every color is "#RRGGBB"; the
+// skin, hair and eyes slots may put color words before it ("blonde
+// #D4A84B" → "blonde hair (#D4A84B)"), and the item names of outfits,
+// accessories and objects carry their own ("red body").
+//
+//   {
+//     "version": 2,
+//     "name": "Death Game Arc (Chapters 3+)",
+//     "extends": "intro",              — inherit another palette's entries
+//     "skin": "#FAE0D4",               — default skin tone
+//     "characters": [{
+//       "name": "Player 7",
+//       "aliases": ["the purple-haired girl"],
+//       "description": "young woman, quiet",
+//       "skin": "#F3D2C1", "hair": "purple #7B2D8E", "eyes": "dark brown #3B2A1A",
+//       "outfits": { "default": { "tracksuit": "#C21D1D" }, "flashback": { "school uniform": "#2B3A67" } },
+//       "accessories": { "hairpin": "#E8C820" },
+//       "notes": "Hair is purple, NOT blue."
+//     }],
+//     "objects": [{ "name": "Masks", "colors": { "creme white mask": "#F5F0E1" }, "notes": "..." }]
+//   }
+//
+// An entry with the same name as one in the extended palette is merged into
+// it: slots are overridden one by one, outfits scene by scene.
+//
+// Version 1 palettes (no "version", "characters" as plain strings) still
+// load; each string is used as-is and their prompt is unchanged.
+
+export const DEFAULT_SKIN = "#FAE0D4";
+
+const HEX = /^#[0-9A-Fa-f]{6}$/;
+const SLOT = /^(?:(\S.*?)\s+)?(#[0-9A-Fa-f]{6})$/;
+const CHARACTER_KEYS = ["name", "aliases", "description", "skin", "hair", "eyes", "outfits", "accessories", "notes"];
+const OBJECT_KEYS = ["name", "aliases", "description", "colors", "notes"];
+const PALETTE_KEYS = ["version", "name", "extends", "skin", "characters", "objects"];
+
+export function isLegacyPalette(data) {
+  return data.version === undefined && Array.isArray(data.characters) &&
+    data.characters.every((c) => typeof c === "string");
+}
+
+export async function readPalette(dir, name) {
+  const palettePath = path.join(dir, `${name}.json`);
+  let raw;
+  try {
+    raw = await fsp.readFile(palettePath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new Error(`Palette file not found: ${palettePath}\nAvailable palettes are in the ./palettes/ directory.`);
+    }
+    throw err;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Palette ${palettePath} is not valid JSON: ${err.message}`);
+  }
+}
+
+export async function listPalettes(dir) {
+  const files = await fsp.readdir(dir);
+  return files
+    .filter((f) => f.endsWith(".json") && !f.endsWith("_context.json"))
+    .map((f) => f.slice(0, -5))
+    .sort();
+}
+
+// ── Validation ─────────────────────────────────────────────────────────────
+
+function checkHex(value, where, problems) {
+  if (typeof value !== "string" || !HEX.test(value)) {
+    problems.push(`${where}: "${value}" is not a #RRGGBB color`);
+  }
+}
+
+function checkSlot(value, where, problems) {
+  if (typeof value !== "string" || !SLOT.test(value)) {
+    problems.push(`${where}: "${value}" is not a #RRGGBB color, optionally after color words ("blonde #D4A84B")`);
+  }
+}
+
+// "blonde #D4A84B" → { words: "blonde", hex: "#D4A84B" }
+function slotColor(value) {
+  const [, words = "", hex] = value.match(SLOT);
+  return { words, hex };
+}
+
+// "blonde #D4A84B", "hair" → "blonde hair"
+function slotLabel(value, slot) {
+  const { words } = slotColor(value);
+  return words ? `${words} ${slot}` : slot;
+}
+
+// { item: "#RRGGBB" } maps (outfit scenes, accessories, object colors)
+function checkColorMap(map, where, problems) {
+  if (typeof map !== "object" || map === null || Array.isArray(map)) {
+    problems.push(`${where} must be an object of "item": "#RRGGBB"`);
+    return;
+  }
+  for (const [item, hex] of Object.entries(map)) checkHex(hex, `${where}.${item}`, problems);
+}
+
+function checkEntry(entry, where, keys, problems) {
+  if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+    problems.push(`${where} must be an object`);
+    return false;
+  }
+  for (const key of Object.keys(entry)) {
+    if (!keys.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+  }
+  if (typeof entry.name !== "string" || entry.name.trim() === "") {
+    problems.push(`${where}: "name" must be a non-empty string`);
+  }
+  if (entry.aliases !== undefined &&
+    (!Array.isArray(entry.aliases) || !entry.aliases.every((a) => typeof a === "string" && a.trim() !== ""))) {
+    problems.push(`${where}: "aliases" must be an array of non-empty strings`);
+  }
+  for (const key of ["description", "notes"]) {
+    if (entry[key] !== undefined && typeof entry[key] !== "string") problems.push(`${where}: "${key}" must be a string`);
+  }
+  return true;
+}
+
+function validateLegacy(data, problems) {
+  data.characters.forEach((c, i) => {
+    if (c.trim() === "") problems.push(`characters[${i}] must be a non-empty string`);
+    for (const hex of c.match(/#[0-9A-Za-z]+/g) || []) {
+      if (!HEX.test(hex)) problems.push(`characters[${i}]: malformed hex color ${hex}`);
+    }
+  });
+}
+
+// Problems with one palette file, as a list of messages (empty = valid).
+// Inheritance is checked separately by resolvePalette.
+export function validatePalette(data) {
+  const problems = [];
+  if (typeof data !== "object" || data === null || Array.isArray(data)) return ["palette must be a JSON object"];
+  if (typeof data.name !== "string" || data.name.trim() === "") problems.push(`"name" must be a non-empty string`);
+
+  if (isLegacyPalette(data)) {
+    validateLegacy(data, problems);
+    return problems;
+  }
+
+  if (data.version !== 2) {
+    problems.push(data.version === undefined
+      ? `"version": 2 is required unless "characters" is a plain list of strings`
+      : `unsupported "version": ${JSON.stringify(data.version)} (supported: 2)`);
+    return problems;
+  }
+  for (const key of Object.keys(data)) {
+    if (!PALETTE_KEYS.includes(key)) problems.push(`unknown field "${key}"`);
+  }
+  if (data.extends !== undefined && (typeof data.extends !== "string" || data.extends === "")) {
+    problems.push(`"extends" must be a palette name`);
+  }
+  if (data.skin !== undefined) checkSlot(data.skin, "skin", problems);
+
+  // Names and aliases must be unique across characters and objects
+  const seen = new Map();
+  const claim = (label, where) => {
+    const k = label.trim().toLowerCase();
+    if (seen.has(k)) problems.push(`${where}: duplicate name "${label}" (also used by ${seen.get(k)})`);
+    else seen.set(k, where);
+  };
+
+  for (const [section, keys] of [["characters", CHARACTER_KEYS], ["objects", OBJECT_KEYS]]) {
+    if (data[section] === undefined) continue;
+    if (!Array.isArray(data[section])) {
+      problems.push(`"${section}" must be an array`);
+      continue;
+    }
+    data[section].forEach((entry, i) => {
+      const where = `${section}[${i}]${entry?.name ? ` (${entry.name})` : ""}`;
+      if (!checkEntry(entry, where, keys, problems)) return;
+      if (typeof entry.name === "string") claim(entry.name, where);
+      for (const alias of Array.isArray(entry.aliases) ? entry.aliases : []) {
+        if (typeof alias === "string") claim(alias, where);
+      }
+
+      if (section === "characters") {
+        for (const slot of ["skin", "hair", "eyes"]) {
+          if (entry[slot] !== undefined) checkSlot(entry[slot], `${where}.${slot}`, problems);
+        }
+        if (entry.outfits !== undefined) {
+          if (typeof entry.outfits !== "object" || entry.outfits === null || Array.isArray(entry.outfits)) {
+            problems.push(`${where}.outfits must be an object of scene → items`);
+          } else {
+            for (const [scene, items] of Object.entries(entry.outfits)) {
+              checkColorMap(items, `${where}.outfits.${scene}`, problems);
+            }
+          }
+        }
+        if (entry.accessories !== undefined) checkColorMap(entry.accessories, `${where}.accessories`, problems);
+      } else if (entry.colors === undefined) {
+        problems.push(`${where}: "colors" is required`);
+      } else {
+        checkColorMap(entry.colors, `${where}.colors`, problems);
+      }
+    });
+  }
+  return problems;
+}
+
+// ── Inheritance ────────────────────────────────────────────────────────────
+
+function mergeEntry(base, override) {
+  const merged = { ...base, ...override };
+  merged.aliases = [...new Set([...(base.aliases || []), ...(override.aliases || [])])];
+  for (const key of ["accessories", "colors"]) {
+    if (base[key] || override[key]) merged[key] = { ...base[key], ...override[key] };
+  }
+  if (base.outfits || override.outfits) {
+    merged.outfits = { ...base.outfits };
+    for (const [scene, items] of Object.entries(override.outfits || {})) {
+      merged.outfits[scene] = { ...merged.outfits[scene], ...items };
+    }
+  }
+  return merged;
+}
+
+function mergeEntries(base = [], overrides = []) {
+  const out = base.map((e) => ({ ...e }));
+  for (const entry of overrides) {
+    const i = out.findIndex((e) => e.name.toLowerCase() === entry.name.toLowerCase());
+    if (i === -1) out.push(entry);
+    else out[i] = mergeEntry(out[i], entry);
+  }
+  return out;
+}
+
+// Load a palette and everything it extends. Returns
+// { name, legacy, skin, characters, objects, chain } where chain lists the
+// palette names from the requested one up to its root. Throws with every
+// problem found along the chain.
+export async function resolvePalette(dir, name, chain = []) {
+  if (chain.includes(name)) throw new Error(`Palette inheritance cycle: ${[...chain, name].join(" → ")}`);
+  const data = await readPalette(dir, name);
+  const problems = validatePalette(data);
+  if (problems.length > 0) throw new Error(`Palette ${name}.json is invalid:\n  ${problems.join("\n  ")}`);
+
+  if (isLegacyPalette(data)) {
+    return { name: data.name, legacy: true, lines: data.characters, chain: [...chain, name] };
+  }
+
+  const own = {
+    name: data.name,
+    legacy: false,
+    skin: data.skin,
+    characters: data.characters || [],
+    objects: data.objects || [],
+    chain: [...chain, name],
+  };
+  if (!data.extends) return { ...own, skin: own.skin || DEFAULT_SKIN };
+
+  const parent = await resolvePalette(dir, data.extends, [...chain, name]);
+  if (parent.legacy) {
+    throw new Error(`Palette ${name}.json extends ${data.extends}.json, which uses the old string format — convert it to "version": 2 first`);
+  }
+  return {
+    ...own,
+    skin: own.skin || parent.skin,
+    characters: mergeEntries(parent.characters, own.characters),
+    objects: mergeEntries(parent.objects, own.objects),
+    chain: parent.chain,
+  };
+}
+
+// ── Prompt text ────────────────────────────────────────────────────────────
+
+function colorList(map) {
+  return Object.entries(map).map(([item, hex]) => `${item} (${hex})`).join(", ");
+}
+
+function entryHead(entry) {
+  const aliases = entry.aliases?.length ? ` (also: ${entry.aliases.join(", ")})` : "";
+  const desc = entry.description ? ` — ${entry.description}` : "";
+  return `${entry.name}${aliases}${desc}`;
+}
+
+function characterLine(c) {
+  const parts = [];
+  for (const slot of ["skin", "hair", "eyes"]) {
+    if (c[slot]) parts.push(`${slotLabel(c[slot], slot)} (${slotColor(c[slot]).hex})`);
+  }
+  const outfits = Object.entries(c.outfits || {});
+  for (const [scene, items] of outfits) {
+    const label = scene === "default" ? (outfits.length > 1 ? "usually" : "") : `in ${scene} scenes`;
+    parts.push(label ? `${label}: ${colorList(items)}` : colorList(items));
+  }
+  if (c.accessories && Object.keys(c.accessories).length > 0) parts.push(colorList(c.accessories));
+  const notes = c.notes ? ` ${c.notes}` : "";
+  return `- ${entryHead(c)}: ${parts.join("; ")}.${notes}`;
+}
+
+function objectLine(o) {
+  const notes = o.notes ? ` ${o.notes}` : "";
+  return `- ${entryHead(o)}: ${colorList(o.colors)}.${notes}`;
+}
+
+// The skin rule for the main prompt's KEY RULES list
+export function skinRule(palette) {
+  if (palette.legacy) return `- Skin: Light Korean skin tone (${DEFAULT_SKIN}), warm peach.`;
+  const { words, hex } = slotColor(palette.skin);
+  return `- Skin: default skin tone${words ? `, ${words}` : ""} (${hex}), for anyone without their own skin color below.`;
+}
+
+// Every locked color as [{ label, hex, names }], e.g. { label: "Player 7
+// hair", hex: "#7B2D8E", names: ["Player 7"] } — names being the entry's
+// name and aliases (none for the default skin). Old string palettes are
+// scanned for "item (#hex)".
+export function paletteColors(palette) {
+  if (palette.legacy) {
+    const colors = [{ label: "skin", hex: DEFAULT_SKIN, names: [] }];
+    for (const line of palette.lines) {
+      const who = line.split(":")[0].trim();
+      for (const m of line.matchAll(/([^,:;()]+?)\s*\((#[0-9A-Fa-f]{6})\)/g)) {
+        colors.push({ label: `${who} ${m[1].trim()}`, hex: m[2], names: [who] });
+      }
+    }
+    return colors;
+  }
+  const colors = [{ label: "skin", hex: slotColor(palette.skin).hex, names: [] }];
+  const add = (entry, map) => {
+    const names = [entry.name, ...(entry.aliases || [])];
+    for (const [item, hex] of Object.entries(map || {})) colors.push({ label: `${entry.name} ${item}`, hex, names });
+  };
+  for (const c of palette.characters) {
+    add(c, Object.fromEntries(["skin", "hair", "eyes"].filter((slot) => c[slot]).map((slot) => [slotLabel(c[slot], slot), slotColor(c[slot]).hex])));
+    for (const items of Object.values(c.outfits || {})) add(c, items);
+    add(c, c.accessories);
+  }
+  for (const o of palette.objects) add(o, o.colors);
+  return colors;
+}
+
+// The locked colors of the palette entries `text` names by name or alias,
+// plus the default skin; null when it names none
+export function namedColors(colors, text) {
+  const names = new Set(colors.flatMap((c) => c.names));
+  const named = [...names].filter((name) => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(?<![\\w])${escaped}(?![\\w])`, "i").test(text);
+  });
+  if (named.length === 0) return null;
+  return colors.filter((c) => c.names.length === 0 || c.names.some((n) => named.includes(n)));
+}
+
+// The palette section appended to the main prompt
+export function paletteSection(palette) {
+  if (palette.legacy) return `CHARACTERS:\n${palette.lines.map((c) => `- ${c}`).join("\n")}`;
+  const sections = [];
+  if (palette.characters.length > 0) sections.push(`CHARACTERS:\n${palette.characters.map(characterLine).join("\n")}`);
+  if (palette.objects.length > 0) sections.push(`OBJECTS:\n${palette.objects.map(objectLine).join("\n")}`);
+  return sections.join("\n\n");
+}
@@ -0,0 +1,2628 @@
+import fsp from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import {
+  segmentCacheKey,
+  imageHash,
+  writeAtomic,
+  readCachedSegment,
+  hasCachedSegment,
+  writeCachedSegment,
+  listCacheEntries,
+  invalidateCache,
+  pruneCache,
+} from "./cache.js";
+import { createBackend, pickApiSize, IMAGE_MODEL } from "./backends.js";
+import { CASSETTE_MODES } from "./cassette.js";
+import { runPool, createRateLimiter } from "./scheduler.js";
+import { rgbToOklab, oklabToRgb } from "./oklab.js";
+import { resolvePalette, validatePalette, readPalette, listPalettes, isLegacyPalette, skinRule, paletteSection, paletteColors, namedColors } from "./palettes.js";
+import { checkAdherence, reinforcementNote } from "./adherence.js";
+import { descreen, retone } from "./screentone.js";
+import { promptHash, buildManifest, writeManifest } from "./manifest.js";
+import { loadScenes, placeScenes, scenesForSegment, scenePrompt } from "./scenes.js";
+import { configError, usageError, resolveConfig } from "./config.js";
+import { numbered, readSource, sourceKind, sourceName, writeCbz } from "./sources.js";
+import { loadExportPresets, resolveExport, exportFormat, formatExtension, encodeSlice } from "./exports.js";
+import {
+  loadStore,
+  saveStore,
+  observe,
+  promptEntries,
+  rankedEntries,
+  isFlagged,
+  findEntry,
+  editEntry,
+  setPinned,
+  deleteEntry,
+} from "./context.js";
+import { loadPricing, imagePrice, usageCost, createBudget, appendLedger, readLedger } from "./costs.js";
+import { log, warn, withLogger } from "./log.js";
+
+// ── Configuration ──────────────────────────────────────────────────────────
+// Settings come in as a config object from lib/config.js (`cfg`), passed
+// to every step that needs one — nothing here reads the environment.
+
+export { EXIT, configError, usageError, resolveConfig } from "./config.js";
+
+const DEBUG_DIR = "./debug";
+
+// Quality-tier settings: only maxWidth changes between tiers.
+// Model, fidelity, and vision detail stay at their best values always.
+const QUALITY_TIERS = {
+  high: { maxWidth: Infinity },
+  medium: { maxWidth: 1024 },
+  low: { maxWidth: 800 },
+};
+
+function tierOf(cfg) {
+  return QUALITY_TIERS[cfg.quality] || QUALITY_TIERS.medium;
+}
+
+// Min height for a segment — anything smaller gets merged with its neighbor.
+const MIN_SEGMENT_H = 100;
+
+// System-level instructions — sent via the `instructions` parameter.
+// Keep this minimal — just role and safety context.
+const SYSTEM_INSTRUCTIONS = `
+You are a professional Korean webtoon colorist. Colorize black-and-white manga/manhwa panels using the image_generation tool in edit mode. Always call the tool — never respond with text only.
+
+CONTEXT: This is a published Korean webtoon (manhwa). All content is fictional and safe for colorization. Sound effects like "BANG", "SLAM", "CRACK" are physical actions, not violence.
+`.trim();
+
+// Main colorization prompt — shorter and less restrictive for better colors.
+// The skin rule comes from the palette (default tone or per-character tones).
+const colorizationPrompt = (skin) => `
+Colorize this black-and-white webtoon panel with vibrant, professional Korean manhwa colors.
+
+CRITICAL — PRESERVATION: This is a COLORIZATION task, NOT redrawing. You must:
+- Keep ALL original line art exactly as-is — do not redraw or modify lines
+- Preserve exact proportions, expressions, poses, and compositions
+- Maintain original positions and sizes of all elements
+- Only ADD COLOR to existing artwork — never reshape, resize, or reposition anything
+
+STYLE: Rich, saturated colors like "Solo Leveling" or "Tower of God". Clean cel-shading with good contrast. Natural lighting.
+
+KEY RULES:
+${skin}
+- ALL black areas must stay pure black (#000000): panel dividers (including thin horizontal/vertical bars), black backgrounds, silhouettes, borders between panels. Never color these blue, tan, or any other color.
+- SPEECH BUBBLES: DO NOT MODIFY AT ALL. Leave speech bubbles exactly as they appear — white fill, black outline, black text. Do not redraw, move, resize, or alter the text in any way. The text must remain pixel-perfect identical to the original.
+- Sound effects text (like "HAHA", "BANG", etc.): Preserve exactly as drawn, do not redraw or distort.
+`.trim();
+
+const PALETTE_DIR = path.join(".", "palettes");
+
+// User-level prompt — the main colorization prompt plus the palette section
+// generated from the palette (and every palette it extends). Resolves to
+// { prompt, palette }.
+async function loadPalette(cfg, name = cfg.palette) {
+  let palette;
+  try {
+    palette = await resolvePalette(PALETTE_DIR, name);
+  } catch (err) {
+    throw configError(err.message);
+  }
+  const inherits = palette.chain.length > 1 ? `, extends ${palette.chain.slice(1).join(" → ")}` : "";
+  log(`Palette: ${palette.name} (${name}.json${inherits})`);
+  const section = paletteSection(palette);
+  // Combine main prompt with character-specific colors
+  const prompt = section
+    ? `${colorizationPrompt(skinRule(palette))}\n\n${section}`
+    : colorizationPrompt(skinRule(palette));
+  return { prompt, palette };
+}
+
+// ── Intelligent context system ────────────────────────────────────────────
+
+// The arc's learned-color store (see lib/context.js)
+function contextPath(cfg) {
+  return path.join(".", "palettes", `${cfg.arc}_context.json`);
+}
+
+async function loadContext(cfg) {
+  let store;
+  try {
+    store = await loadStore(contextPath(cfg));
+  } catch (err) {
+    throw configError(err.message);
+  }
+  if (store.entries.length > 0) {
+    const flagged = store.entries.filter(isFlagged).length;
+    const used = promptEntries(store, cfg.contextMaxEntries).length;
+    log(
+      `Context: loaded ${store.entries.length} learned color(s) from ${cfg.arc}_context.json, ${used} used in prompts` +
+        (flagged > 0 ? ` (${flagged} flagged — see \`node colorizer.js context list\`)` : "")
+    );
+  }
+  return store;
+}
+
+const CONTEXT_HEADER = "PREVIOUSLY LEARNED COLORS (use these for consistency, but override if clearly wrong):";
+
+function buildPromptWithContext(basePrompt, store, cfg) {
+  const prompt = cfg.promptNotes ? `${basePrompt}\n\nCHAPTER NOTES:\n${cfg.promptNotes}` : basePrompt;
+  const entries = promptEntries(store, cfg.contextMaxEntries);
+  if (entries.length === 0) return prompt;
+  const contextBlock = entries.map((e) => `- ${e.element}: ${e.note}`).join("\n");
+  return `${prompt}\n\n${CONTEXT_HEADER}\n${contextBlock}`;
+}
+
+// A prompt split into its learned-context block (null when it has none)
+// and everything else. Cache keys are built from the rest, so a color
+// learned in one run doesn't invalidate every segment of the next.
+function splitContext(prompt) {
+  const start = prompt.indexOf(`\n\n${CONTEXT_HEADER}\n`);
+  if (start === -1) return { rest: prompt, context: null };
+  const end = prompt.indexOf("\n\n", start + 2);
+  return {
+    rest: prompt.slice(0, start) + (end === -1 ? "" : prompt.slice(end)),
+    context: prompt.slice(start + 2, end === -1 ? undefined : end),
+  };
+}
+
+// A context-capture call: a vision call on the colorized segment, priced
+// at the per-call overhead until its usage comes back
+function captureEstimate(pricing, backendName) {
+  return ["stub", "http"].includes(backendName) ? 0 : pricing.callOverhead;
+}
+
+// Reserved like a colorize call, so concurrent captures can't push the
+// spend past MAX_BUDGET; one that doesn't fit is skipped
+async function captureContext(colorizedBuf, palettePrompt, { backend, stats, budget, pricing }) {
+  const estimate = captureEstimate(pricing, backend.name);
+  if (!budget.reserve(estimate)) return [];
+  try {
+    const { colors, usage } = await backend.describe(colorizedBuf, palettePrompt);
+    const cost = usageCost(usage, pricing);
+    stats.contextCalls++;
+    stats.contextCost += cost;
+    budget.spend(cost);
+    return colors;
+  } catch (err) {
+    warn(`    Context capture failed (non-fatal): ${err.message}`);
+    return [];
+  } finally {
+    budget.release(estimate);
+  }
+}
+
+// ── Utility helpers ────────────────────────────────────────────────────────
+
+async function ensureDir(dir) {
+  await fsp.mkdir(dir, { recursive: true });
+}
+
+async function readInput(cfg) {
+  try {
+    return await readSource(cfg.inputDir, { pdfDpi: cfg.pdfDpi });
+  } catch (err) {
+    if (err.code === "ENOENT") throw configError(`Input not found: ${cfg.inputDir}`);
+    throw configError(err.message);
+  }
+}
+
+function pad(n, len = 3) {
+  return String(n).padStart(len, "0");
+}
+
+// ── Step 1: Stitch slices into one tall strip ──────────────────────────────
+
+// filePaths: paths or image buffers, top to bottom. Narrower slices are
+// stretched to the first one's width.
+export async function stitchSlices(filePaths) {
+  const metas = await Promise.all(filePaths.map((f) => sharp(f).metadata()));
+  const width = metas[0].width;
+
+  // Normalize all slices to the same width
+  const buffers = await Promise.all(
+    filePaths.map(async (f, i) => {
+      const m = metas[i];
+      let img = sharp(f);
+      if (m.width !== width) {
+        img = img.resize(width, m.height, { fit: "fill" });
+      }
+      return img.png().toBuffer();
+    })
+  );
+
+  const heights = metas.map((m) => m.height);
+  const totalH = heights.reduce((a, b) => a + b, 0);
+
+  let y = 0;
+  const composites = [];
+  for (let i = 0; i < buffers.length; i++) {
+    composites.push({ input: buffers[i], top: y, left: 0 });
+    y += heights[i];
+  }
+
+  const stitched = await sharp({
+    create: {
+      width,
+      height: totalH,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 1 },
+    },
+  })
+    .composite(composites)
+    .png()
+    .toBuffer();
+
+  return { buffer: stitched, width, totalH, heights };
+}
+
+// ── Step 2: Detect safe split points ───────────────────────────────────────
+
+function toHex([r, g, b]) {
+  return "#" + [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("").toUpperCase();
+}
+
+// Per-channel median of pixels [from, to) in a raw RGBA(ish) buffer.
+function medianColor(data, from, to, ch, hist) {
+  hist.fill(0);
+  let n = 0;
+  for (let p = from; p < to; p += ch) {
+    hist[data[p]]++;
+    hist[256 + data[p + 1]]++;
+    hist[512 + data[p + 2]]++;
+    n++;
+  }
+  const out = [0, 0, 0];
+  for (let k = 0; k < 3; k++) {
+    let acc = 0;
+    for (let v = 0; v < 256; v++) {
+      acc += hist[k * 256 + v];
+      if (acc * 2 >= n) {
+        out[k] = v;
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+const FLAT_CHUNKS = 8;
+
+// Flat-color test for one row. The row is cut into chunks and each pixel is
+// compared to its own chunk's median, so a smooth horizontal gradient still
+// counts as flat; neighbouring chunks may only drift by gutterTolerance.
+// Returns the row's median color if flat, null otherwise.
+function flatRowColor(data, rowStart, w, ch, hist, { gutterTolerance, edgeTolerance }) {
+  const chunkW = Math.ceil(w / FLAT_CHUNKS);
+  const medians = [];
+  for (let x0 = 0; x0 < w; x0 += chunkW) {
+    const x1 = Math.min(w, x0 + chunkW);
+    medians.push(medianColor(data, rowStart + x0 * ch, rowStart + x1 * ch, ch, hist));
+  }
+  for (let k = 1; k < medians.length; k++) {
+    const a = medians[k - 1], b = medians[k];
+    if (Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2])) > gutterTolerance) return null;
+  }
+
+  let matching = 0;
+  for (let x = 0; x < w; x++) {
+    const m = medians[Math.floor(x / chunkW)];
+    const p = rowStart + x * ch;
+    if (
+      Math.abs(data[p] - m[0]) <= gutterTolerance &&
+      Math.abs(data[p + 1] - m[1]) <= gutterTolerance &&
+      Math.abs(data[p + 2] - m[2]) <= gutterTolerance
+    ) {
+      matching++;
+    }
+  }
+  if (matching / w < 1 - edgeTolerance) return null;
+  return medianColor(data, rowStart, rowStart + w * ch, ch, hist);
+}
+
+// Classify one row against cfg.gutterColors. Returns the gutter color label
+// ("black", "white" or "#RRGGBB") or null if the row isn't a safe gutter row.
+function classifyRow(data, rowStart, w, ch, hist, cfg) {
+  const { darkThreshold, lightThreshold, edgeTolerance, gutterTolerance } = cfg;
+  let darkCount = 0;
+  let lightCount = 0;
+  for (let x = 0; x < w; x++) {
+    const p = rowStart + x * ch;
+    const r = data[p], g = data[p + 1], b = data[p + 2];
+    if (r < darkThreshold && g < darkThreshold && b < darkThreshold) darkCount++;
+    else if (r > lightThreshold && g > lightThreshold && b > lightThreshold) lightCount++;
+  }
+  const minCount = w * (1 - edgeTolerance);
+
+  let flat; // computed lazily — only auto / #RRGGBB need it
+  for (const target of cfg.gutterColors) {
+    if (target.kind === "black" && darkCount >= minCount) return "black";
+    if (target.kind === "white" && lightCount >= minCount) return "white";
+    if (target.kind === "auto" || target.kind === "color") {
+      if (flat === undefined) flat = flatRowColor(data, rowStart, w, ch, hist, cfg);
+      if (!flat) continue;
+      if (target.kind === "auto") return toHex(flat);
+      const [r, g, b] = target.rgb;
+      if (
+        Math.abs(flat[0] - r) <= gutterTolerance &&
+        Math.abs(flat[1] - g) <= gutterTolerance &&
+        Math.abs(flat[2] - b) <= gutterTolerance
+      ) {
+        return toHex(flat);
+      }
+    }
+  }
+  return null;
+}
+
+// Gutter bands of at least minGapHeight rows: [{ startRow, endRow,
+// midPoint, height, color }]. options: the gutter settings of a config.
+export async function detectSafeSplitPoints(stitchedBuf, options = {}) {
+  const cfg = resolveConfig(options);
+  const { data, info } = await sharp(stitchedBuf)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const w = info.width;
+  const h = info.height;
+  const c = info.channels;
+  const hist = new Uint32Array(256 * 3);
+
+  // Identify rows that are (nearly) one flat gutter color
+  const rowColors = new Array(h).fill(null);
+  for (let y = 0; y < h; y++) {
+    rowColors[y] = classifyRow(data, y * w * c, w, c, hist, cfg);
+  }
+
+  // Find consecutive runs of safe rows
+  const gaps = [];
+  let gapStart = null;
+
+  for (let y = 0; y <= h; y++) {
+    const safe = y < h && rowColors[y] !== null;
+    if (safe && gapStart === null) gapStart = y;
+    if (!safe && gapStart !== null) {
+      // Run ended
+      const gapEnd = y - 1;
+      const gapHeight = gapEnd - gapStart + 1;
+      if (gapHeight >= cfg.minGapHeight) {
+        const midPoint = Math.floor((gapStart + gapEnd) / 2);
+        gaps.push({
+          startRow: gapStart,
+          endRow: gapEnd,
+          midPoint,
+          height: gapHeight,
+          color: rowColors[midPoint],
+        });
+      }
+      gapStart = null;
+    }
+  }
+
+  return gaps;
+}
+
+// ── Step 3: Split into segments ────────────────────────────────────────────
+
+// Cut the strip at the middle of each split point, merging segments under
+// MIN_SEGMENT_H rows into a neighbour. Each segment lists the pieces merged
+// into it as `merged` ([{ startY, height }]).
+export async function splitAtPoints(stitchedBuf, width, totalH, splitPoints) {
+  const cuts = splitPoints.map((sp) => sp.midPoint);
+
+  // Build segment boundaries: [0, cut1, cut2, ..., totalH]
+  const bounds = [0, ...cuts, totalH];
+  let segments = [];
+
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const startY = bounds[i];
+    const endY = bounds[i + 1];
+    const h = endY - startY;
+    if (h <= 0) continue;
+    segments.push({ startY, endY, height: h, piece: { startY, height: h }, merged: [] });
+  }
+
+  // Merge tiny segments with their neighbor
+  segments = segments.filter((seg, i) => {
+    if (seg.height >= MIN_SEGMENT_H) return true;
+    // Merge into next or previous
+    let into = null;
+    if (i + 1 < segments.length) {
+      into = segments[i + 1];
+      into.startY = seg.startY;
+      into.height = into.endY - seg.startY;
+    } else if (i > 0) {
+      into = segments[i - 1];
+      into.endY = seg.endY;
+      into.height = seg.endY - into.startY;
+    }
+    into?.merged.push(...seg.merged, seg.piece);
+    return false;
+  });
+
+  // Extract each segment. Cutting at a band's midpoint leaves half a gutter
+  // at each end of the segment; record how many rows, so colorization can
+  // skip them and paste the original gutter back untouched.
+  const result = [];
+  for (const seg of segments) {
+    const buf = await sharp(stitchedBuf)
+      .extract({ left: 0, top: seg.startY, width, height: seg.height })
+      .png()
+      .toBuffer();
+    const endY = seg.startY + seg.height;
+    const topGap = splitPoints.find((sp) => sp.startRow <= seg.startY && seg.startY <= sp.endRow);
+    const bottomGap = splitPoints.find((sp) => sp.startRow <= endY - 1 && endY - 1 <= sp.endRow);
+    result.push({
+      buffer: buf,
+      startY: seg.startY,
+      height: seg.height,
+      width,
+      gutterTop: topGap ? Math.min(seg.height, topGap.endRow + 1 - seg.startY) : 0,
+      gutterBottom: bottomGap ? Math.min(seg.height, endY - bottomGap.startRow) : 0,
+      merged: seg.merged,
+    });
+  }
+
+  return result;
+}
+
+// The part of a segment between its top and bottom gutters — what actually
+// gets sent for colorization. Falls back to the whole segment when trimming
+// would leave almost nothing (e.g. a caption sitting inside a band).
+async function trimGutters(seg) {
+  const top = seg.gutterTop || 0;
+  const contentH = seg.height - top - (seg.gutterBottom || 0);
+  if ((top === 0 && contentH === seg.height) || contentH < MIN_SEGMENT_H) {
+    return { buffer: seg.buffer, top: 0, height: seg.height };
+  }
+  const buffer = await sharp(seg.buffer)
+    .extract({ left: 0, top, width: seg.width, height: contentH })
+    .png()
+    .toBuffer();
+  return { buffer, top, height: contentH };
+}
+
+// Paste colorized content back between the segment's original gutter rows.
+async function restoreGutters(seg, content, colorizedBuf) {
+  if (content.top === 0 && content.height === seg.height) return colorizedBuf;
+  return sharp(seg.buffer)
+    .composite([{ input: colorizedBuf, top: content.top, left: 0 }])
+    .png()
+    .toBuffer();
+}
+
+// ── Retry helper ────────────────────────────────────────────────────────────
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 2000;
+
+function isTransient(err) {
+  // Rate limits, server errors, timeouts, network failures
+  if (err.status === 429 || (err.status >= 500 && err.status < 600)) return true;
+  if (/timeout|ETIMEDOUT|ECONNRESET|ECONNREFUSED|socket hang up|network/i.test(err.message)) return true;
+  if (/safety|content_policy|moderation/i.test(err.message)) return true;
+  return false;
+}
+
+// Retry-After in ms, or null. OpenAI errors carry a Headers instance, the
+// http backend a plain object.
+function retryAfterMs(err) {
+  const h = err.headers;
+  const value = typeof h?.get === "function" ? h.get("retry-after") : h?.["retry-after"];
+  if (value == null) return null;
+  const secs = Number(value);
+  return isNaN(secs) ? null : secs * 1000;
+}
+
+// `limiter` (optional) is shared across workers: every attempt takes one of
+// its slots, and a rate-limit response pauses all workers, not just this one.
+async function withRetry(fn, label, limiter = null) {
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (limiter) await limiter.acquire();
+    try {
+      const result = await fn();
+      limiter?.release(true);
+      return result;
+    } catch (err) {
+      limiter?.release(false);
+      // Not a failure of the call — let the caller report it as over budget
+      if (err.overBudget) throw err;
+      const isSafety = /safety|content_policy|moderation/i.test(err.message);
+      const retriable = isTransient(err);
+
+      if (!retriable || attempt === MAX_RETRIES) {
+        // Non-transient or exhausted retries — return null to signal failure
+        const reason = isSafety ? "safety filter" : err.message;
+        warn(`    WARNING: ${label} failed after ${attempt + 1} attempt(s): ${reason}`);
+        return null;
+      }
+
+      // Compute delay: respect Retry-After header if present, otherwise exponential backoff
+      let delay = BASE_DELAY_MS * Math.pow(2, attempt);
+      const retryAfter = retryAfterMs(err);
+      if (retryAfter !== null) delay = retryAfter;
+      if (limiter && (err.status === 429 || retryAfter !== null)) limiter.backoff(delay);
+
+      const tag = isSafety ? "safety filter" : `${err.status || "network error"}`;
+      log(`    ${label}: ${tag} — retry ${attempt + 1}/${MAX_RETRIES} in ${(delay / 1000).toFixed(1)}s...`);
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+}
+
+// ── Step 4: Colorize a segment via the configured backend ───────────────────
+
+// Pixels further than this (max channel difference) from a flat segment's
+// median count as ink; a segment with more than BLANK_MAX_INK of them has
+// line art worth colorizing, however sparse.
+const INK_DISTANCE = 96;
+const BLANK_MAX_INK = 0.001;
+
+// Whether a flat segment's median color is one of the configured gutter
+// colors (black is handled by the dark test)
+function isGutterColor(median, { gutterColors, gutterTolerance, lightThreshold }) {
+  return gutterColors.some((target) => {
+    if (target.kind === "auto") return true;
+    if (target.kind === "white") return median.every((v) => v > lightThreshold);
+    if (target.kind === "color") return target.rgb.every((v, k) => Math.abs(median[k] - v) <= gutterTolerance);
+    return false;
+  });
+}
+
+// Why a segment needs no API call ("blank (99% black)", "text-on-black
+// (...)"), or false when it has something to colorize. cfg: resolved settings
+export async function isBlankSegment(buf, cfg) {
+  const { darkThreshold, gutterTolerance, lightThreshold } = cfg;
+  const { data, info } = await sharp(buf)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const total = info.width * info.height;
+  let darkCount = 0;
+  let brightCount = 0;
+  for (let i = 0; i < total; i++) {
+    const p = i * info.channels;
+    const r = data[p], g = data[p + 1], b = data[p + 2];
+    if (r < darkThreshold && g < darkThreshold && b < darkThreshold) {
+      darkCount++;
+    } else if (r > 200 && g > 200 && b > 200) {
+      brightCount++;
+    }
+  }
+
+  const darkRatio = darkCount / total;
+  const nonDark = total - darkCount;
+  const brightRatio = nonDark > 0 ? brightCount / nonDark : 0;
+
+  // Pure black segments (dividers, empty space) — 98%+ dark
+  if (darkRatio >= 0.98) return `blank (${(darkRatio * 100).toFixed(0)}% black)`;
+
+  // White / flat-color gutters — only with GUTTER_COLORS naming white, auto
+  // or a color, and only in that color: 98%+ of pixels within
+  // gutterTolerance of the segment's median and next to no ink
+  const flatGutters = cfg.gutterColors.some((t) => t.kind !== "black");
+  const median = flatGutters && medianColor(data, 0, data.length, info.channels, new Uint32Array(256 * 3));
+  if (flatGutters && isGutterColor(median, cfg)) {
+    let flatCount = 0;
+    let inkCount = 0;
+    for (let i = 0; i < total; i++) {
+      const p = i * info.channels;
+      const d = Math.max(Math.abs(data[p] - median[0]), Math.abs(data[p + 1] - median[1]), Math.abs(data[p + 2] - median[2]));
+      if (d <= gutterTolerance) flatCount++;
+      else if (d > INK_DISTANCE) inkCount++;
+    }
+    const flatRatio = flatCount / total;
+    if (flatRatio >= 0.98 && inkCount / total <= BLANK_MAX_INK) {
+      const isWhite = median.every((v) => v > lightThreshold);
+      return `blank (${(flatRatio * 100).toFixed(0)}% ${isWhite ? "white" : `flat ${toHex(median)}`})`;
+    }
+  }
+
+  // Text-on-black segments (e.g., "WEEKS EARLIER...", "ALONE...") —
+  // mostly black with small amounts of white text. No artwork to colorize.
+  // Must be 85%+ dark, and non-dark pixels are mostly white text.
+  // Threshold is 0.6 (not higher) to account for anti-aliased text edges.
+  if (darkRatio >= 0.85 && nonDark > 0 && brightRatio >= 0.6) {
+    return `text-on-black (${(darkRatio * 100).toFixed(0)}% black, ${(brightRatio * 100).toFixed(0)}% of rest is white)`;
+  }
+
+  return false;
+}
+
+// ── Post-process: restore black pixels from original ─────────────────────
+// Edge-connected flood fill approach:
+// 1. Find dark pixels (RGB < 5) connected to image borders via flood fill
+// 2. Only restore if in a high-density region (92%+ dark locally)
+// This catches panel dividers and black backgrounds while avoiding shadows
+
+const BLACK_RESTORE_THRESHOLD = 5;   // RGB < 5 = "true black"
+const LOCAL_CHECK_RADIUS = 16;        // 33x33 block for density check
+const LOCAL_DENSITY_MIN = 0.92;       // block must be 92%+ dark (higher = fewer false positives on shadows)
+
+// Copy the original's edge-connected solid blacks over the colorized image
+export async function restoreBlacks(originalBuf, colorizedBuf) {
+  const origRaw = await sharp(originalBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const colRaw = await sharp(colorizedBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+  const oD = origRaw.data;
+  const cD = Buffer.from(colRaw.data); // mutable copy
+  const w = origRaw.info.width;
+  const h = origRaw.info.height;
+  const ch = origRaw.info.channels;
+
+  // Build binary map for dark pixels
+  const dark = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const p = (y * w + x) * ch;
+      const r = oD[p], g = oD[p + 1], b = oD[p + 2];
+      if (r < BLACK_RESTORE_THRESHOLD && g < BLACK_RESTORE_THRESHOLD && b < BLACK_RESTORE_THRESHOLD) {
+        dark[y * w + x] = 1;
+      }
+    }
+  }
+
+  // Build summed area table for O(1) local density queries
+  const sat = new Int32Array((w + 1) * (h + 1));
+  const sw = w + 1;
+  for (let y = 1; y <= h; y++) {
+    for (let x = 1; x <= w; x++) {
+      sat[y * sw + x] =
+        dark[(y - 1) * w + (x - 1)] +
+        sat[(y - 1) * sw + x] +
+        sat[y * sw + (x - 1)] -
+        sat[(y - 1) * sw + (x - 1)];
+    }
+  }
+
+  function getLocalDensity(cx, cy) {
+    const x1 = Math.max(0, cx - LOCAL_CHECK_RADIUS);
+    const y1 = Math.max(0, cy - LOCAL_CHECK_RADIUS);
+    const x2 = Math.min(w - 1, cx + LOCAL_CHECK_RADIUS);
+    const y2 = Math.min(h - 1, cy + LOCAL_CHECK_RADIUS);
+    const blockSize = (x2 - x1 + 1) * (y2 - y1 + 1);
+    const a = (y2 + 1) * sw + (x2 + 1);
+    const b = y1 * sw + (x2 + 1);
+    const c = (y2 + 1) * sw + x1;
+    const d = y1 * sw + x1;
+    const darkCount = sat[a] - sat[b] - sat[c] + sat[d];
+    return darkCount / blockSize;
+  }
+
+  // Track which dark pixels are edge-connected
+  const edgeConnected = new Uint8Array(w * h);
+
+  // Seed queue with all dark pixels on image borders
+  const queue = [];
+  for (let x = 0; x < w; x++) {
+    if (dark[x]) queue.push(x);
+    const bottomIdx = (h - 1) * w + x;
+    if (dark[bottomIdx]) queue.push(bottomIdx);
+  }
+  for (let y = 1; y < h - 1; y++) {
+    const leftIdx = y * w;
+    if (dark[leftIdx]) queue.push(leftIdx);
+    const rightIdx = y * w + (w - 1);
+    if (dark[rightIdx]) queue.push(rightIdx);
+  }
+
+  for (const idx of queue) {
+    edgeConnected[idx] = 1;
+  }
+
+  // Flood-fill to find all edge-connected dark pixels
+  while (queue.length > 0) {
+    const idx = queue.pop();
+    const x = idx % w;
+    const y = Math.floor(idx / w);
+
+    const neighbors = [];
+    if (x > 0) neighbors.push(idx - 1);
+    if (x < w - 1) neighbors.push(idx + 1);
+    if (y > 0) neighbors.push(idx - w);
+    if (y < h - 1) neighbors.push(idx + w);
+
+    for (const nIdx of neighbors) {
+      if (dark[nIdx] && !edgeConnected[nIdx]) {
+        edgeConnected[nIdx] = 1;
+        queue.push(nIdx);
+      }
+    }
+  }
+
+  // Restore dark pixels that meet criteria
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = y * w + x;
+      if (!dark[idx]) continue;
+
+      // Must be in a high-density region
+      const density = getLocalDensity(x, y);
+      if (density < LOCAL_DENSITY_MIN) continue;
+
+      // Must be edge-connected (removed "near speech bubble" logic - it caused artifacts)
+      if (!edgeConnected[idx]) continue;
+
+      const p = idx * ch;
+      cD[p] = 0;
+      cD[p + 1] = 0;
+      cD[p + 2] = 0;
+      cD[p + 3] = 255;
+    }
+  }
+
+  return sharp(cD, {
+    raw: { width: colRaw.info.width, height: colRaw.info.height, channels: ch },
+  })
+    .png()
+    .toBuffer();
+}
+
+// ── Post-process: protect speech bubbles and lettering ─────────────────────
+// The model is asked not to touch speech bubbles, but small text still gets
+// redrawn. Instead of trusting it, find the bubbles in the original and
+// paste them back over the colorized output:
+// 1. Label connected bright regions (lum > BUBBLE_BRIGHT) in the original
+// 2. Keep regions that are reasonably sized and compact and enclose several
+//    small, dark, similarly sized "holes" — the glyphs of the lettering.
+//    Faces and white clothing also enclose holes (eyes, folds), but those
+//    are few, uneven in size or too large.
+// 3. Mask = region + holes, grown by BUBBLE_PAD px to cover the outline,
+//    then feathered so the paste blends into the surrounding color
+
+const BUBBLE_BRIGHT = 200;           // lum > 200 = bubble fill
+const BUBBLE_MIN_AREA = 600;         // px — smaller bright blobs are highlights, not bubbles
+const BUBBLE_MAX_FRACTION = 0.35;    // a bubble never covers more than 35% of a segment
+const BUBBLE_MIN_SOLIDITY = 0.45;    // filled area / bounding box area (ellipse ≈ 0.79)
+const BUBBLE_MIN_GLYPHS = 5;         // enclosed dark holes needed to count as lettering
+const BUBBLE_MAX_GLYPH_FRACTION = 0.05; // a single glyph is tiny relative to its bubble
+const BUBBLE_MIN_GLYPH_H = 6;        // px — screentone dots are smaller than any letter
+const BUBBLE_GLYPH_DARK = 110;       // mean lum of a glyph hole must be below this
+const BUBBLE_GLYPH_CONSISTENCY = 0.6; // share of glyphs within ±40% of the median glyph height
+const BUBBLE_PAD = 3;                // px grown around the bubble to include its outline
+const BUBBLE_FEATHER = 1.5;          // gaussian sigma of the mask edge
+
+// Grow a binary mask by `r` px (square structuring element, separable max).
+function dilate(mask, w, h, r) {
+  const tmp = new Uint8Array(w * h);
+  const out = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let v = 0;
+      for (let k = Math.max(0, x - r); k <= Math.min(w - 1, x + r) && !v; k++) v = mask[y * w + k];
+      tmp[y * w + x] = v;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let v = 0;
+      for (let k = Math.max(0, y - r); k <= Math.min(h - 1, y + r) && !v; k++) v = tmp[k * w + x];
+      out[y * w + x] = v;
+    }
+  }
+  return out;
+}
+
+// Returns a Uint8Array mask (1 = inside a detected bubble, holes filled).
+function detectBubbles(data, w, h, ch) {
+  const lum = new Uint8Array(w * h);
+  const bright = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    const p = i * ch;
+    lum[i] = Math.round(0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]);
+    if (lum[i] > BUBBLE_BRIGHT) bright[i] = 1;
+  }
+
+  const labels = new Int32Array(w * h); // 0 = unlabeled
+  const mask = new Uint8Array(w * h);
+  let next = 1;
+  let found = 0;
+
+  for (let start = 0; start < w * h; start++) {
+    if (!bright[start] || labels[start]) continue;
+
+    // Flood fill one bright component, tracking area, bbox and edge contact
+    const label = next++;
+    const stack = [start];
+    labels[start] = label;
+    let area = 0;
+    let minX = w, minY = h, maxX = 0, maxY = 0;
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const x = idx % w;
+      const y = (idx - x) / w;
+      area++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      if (x > 0 && bright[idx - 1] && !labels[idx - 1]) { labels[idx - 1] = label; stack.push(idx - 1); }
+      if (x < w - 1 && bright[idx + 1] && !labels[idx + 1]) { labels[idx + 1] = label; stack.push(idx + 1); }
+      if (y > 0 && bright[idx - w] && !labels[idx - w]) { labels[idx - w] = label; stack.push(idx - w); }
+      if (y < h - 1 && bright[idx + w] && !labels[idx + w]) { labels[idx + w] = label; stack.push(idx + w); }
+    }
+
+    if (area < BUBBLE_MIN_AREA || area > w * h * BUBBLE_MAX_FRACTION) continue;
+
+    // Inside the bbox, everything not in this component and not reachable
+    // from the bbox border is a hole (glyph strokes, punctuation).
+    const bw = maxX - minX + 1;
+    const bh = maxY - minY + 1;
+    const outside = new Uint8Array(bw * bh);
+    const inComp = (bx, by) => labels[(minY + by) * w + (minX + bx)] === label;
+    const queue = [];
+    for (let bx = 0; bx < bw; bx++) {
+      for (const by of [0, bh - 1]) {
+        if (!inComp(bx, by) && !outside[by * bw + bx]) { outside[by * bw + bx] = 1; queue.push(by * bw + bx); }
+      }
+    }
+    for (let by = 0; by < bh; by++) {
+      for (const bx of [0, bw - 1]) {
+        if (!inComp(bx, by) && !outside[by * bw + bx]) { outside[by * bw + bx] = 1; queue.push(by * bw + bx); }
+      }
+    }
+    while (queue.length > 0) {
+      const bi = queue.pop();
+      const bx = bi % bw;
+      const by = (bi - bx) / bw;
+      for (const [nx, ny] of [[bx - 1, by], [bx + 1, by], [bx, by - 1], [bx, by + 1]]) {
+        if (nx < 0 || ny < 0 || nx >= bw || ny >= bh) continue;
+        const ni = ny * bw + nx;
+        if (!outside[ni] && !inComp(nx, ny)) { outside[ni] = 1; queue.push(ni); }
+      }
+    }
+
+    // Measure each hole; reject regions whose "holes" are big shapes
+    const holeSeen = new Uint8Array(bw * bh);
+    const glyphHeights = [];
+    let filledArea = area;
+    let bigHole = false;
+    for (let bi = 0; bi < bw * bh; bi++) {
+      const bx = bi % bw;
+      const by = (bi - bx) / bw;
+      if (outside[bi] || holeSeen[bi] || inComp(bx, by)) continue;
+      let holeArea = 0;
+      let lumSum = 0;
+      let top = bh, bottom = 0;
+      const hs = [bi];
+      holeSeen[bi] = 1;
+      while (hs.length > 0) {
+        const hi = hs.pop();
+        const hx = hi % bw;
+        const hy = (hi - hx) / bw;
+        holeArea++;
+        lumSum += lum[(minY + hy) * w + (minX + hx)];
+        if (hy < top) top = hy;
+        if (hy > bottom) bottom = hy;
+        for (const [nx, ny] of [[hx - 1, hy], [hx + 1, hy], [hx, hy - 1], [hx, hy + 1]]) {
+          if (nx < 0 || ny < 0 || nx >= bw || ny >= bh) continue;
+          const ni = ny * bw + nx;
+          if (!outside[ni] && !holeSeen[ni] && !inComp(nx, ny)) { holeSeen[ni] = 1; hs.push(ni); }
+        }
+      }
+      filledArea += holeArea;
+      if (holeArea > area * BUBBLE_MAX_GLYPH_FRACTION) bigHole = true;
+      else if (bottom - top + 1 >= BUBBLE_MIN_GLYPH_H && lumSum / holeArea < BUBBLE_GLYPH_DARK) {
+        glyphHeights.push(bottom - top + 1);
+      }
+    }
+
+    if (bigHole || glyphHeights.length < BUBBLE_MIN_GLYPHS) continue;
+    if (filledArea / (bw * bh) < BUBBLE_MIN_SOLIDITY) continue;
+
+    // Lettering is set at one size; facial features and folds are not
+    glyphHeights.sort((a, b) => a - b);
+    const medianH = glyphHeights[Math.floor(glyphHeights.length / 2)];
+    const consistent = glyphHeights.filter((gh) => gh >= medianH * 0.6 && gh <= medianH * 1.4).length;
+    if (consistent / glyphHeights.length < BUBBLE_GLYPH_CONSISTENCY) continue;
+
+    for (let by = 0; by < bh; by++) {
+      for (let bx = 0; bx < bw; bx++) {
+        if (!outside[by * bw + bx]) mask[(minY + by) * w + (minX + bx)] = 1;
+      }
+    }
+    found++;
+  }
+
+  return { mask, count: found };
+}
+
+// Paste speech bubbles from the original (full resolution) over the
+// colorized segment. Returns the composited image, the feathered mask (as a
+// grayscale PNG, for debugging) and how many bubbles were found.
+async function protectBubbles(originalBuf, colorizedBuf) {
+  const orig = await sharp(originalBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const col = await sharp(colorizedBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const w = orig.info.width;
+  const h = orig.info.height;
+  const ch = orig.info.channels;
+
+  const { mask, count } = detectBubbles(orig.data, w, h, ch);
+  if (count === 0) return { buffer: colorizedBuf, mask: null, count };
+
+  // Grow to cover the outline, feather, then force the bubble core to 1 so
+  // lettering inside is copied exactly
+  const grown = dilate(mask, w, h, BUBBLE_PAD);
+  const hard = Buffer.alloc(w * h);
+  for (let i = 0; i < w * h; i++) hard[i] = grown[i] ? 255 : 0;
+  const soft = await sharp(hard, { raw: { width: w, height: h, channels: 1 } })
+    .blur(BUBBLE_FEATHER)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+  for (let i = 0; i < w * h; i++) if (mask[i]) soft[i] = 255;
+
+  const out = Buffer.from(col.data);
+  for (let i = 0; i < w * h; i++) {
+    const a = soft[i];
+    if (a === 0) continue;
+    const p = i * ch;
+    for (let k = 0; k < 3; k++) {
+      out[p + k] = Math.round((orig.data[p + k] * a + col.data[p + k] * (255 - a)) / 255);
+    }
+  }
+
+  const buffer = await sharp(out, { raw: { width: w, height: h, channels: ch } }).png().toBuffer();
+  const maskPng = await sharp(soft, { raw: { width: w, height: h, channels: 1 } }).png().toBuffer();
+  return { buffer, mask: maskPng, count };
+}
+
+// ── Post-process: luminance lock ───────────────────────────────────────────
+// Recombine in OKLab: L (perceptual lightness) comes from the original B&W
+// segment at full resolution, a/b (hue and chroma) from the colorized
+// output. Lines the model redrew or the upscale blurred disappear, because
+// lightness — where all line art lives — is never taken from the model.
+
+async function lockLuminance(originalBuf, colorizedBuf, strength) {
+  const orig = await sharp(originalBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const col = await sharp(colorizedBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width: w, height: h, channels: ch } = orig.info;
+  const oD = orig.data;
+  const cD = col.data;
+  const out = Buffer.from(cD);
+
+  for (let i = 0; i < w * h; i++) {
+    const p = i * ch;
+    const [origL] = rgbToOklab(oD[p], oD[p + 1], oD[p + 2]);
+    const [colL, a, b] = rgbToOklab(cD[p], cD[p + 1], cD[p + 2]);
+    const L = colL + (origL - colL) * strength;
+    // Chroma is meaningless at pure black/white; fade it out at the extremes
+    // so dark lines stay neutral instead of picking up a tint.
+    const keep = Math.min(1, L / 0.15, (1 - L) / 0.05);
+    const [r, g, bl] = oklabToRgb(L, a * Math.max(0, keep), b * Math.max(0, keep));
+    out[p] = r;
+    out[p + 1] = g;
+    out[p + 2] = bl;
+  }
+
+  return sharp(out, { raw: { width: w, height: h, channels: ch } }).png().toBuffer();
+}
+
+// Expected cost of one colorize call before it is made — used for the dry
+// run forecast and budget reservations. Actual costs come from usageCost.
+function callEstimate(pricing, quality, apiSize, backendName) {
+  if (backendName === "stub") return 0;
+  if (backendName === "http") return pricing.httpPerCall;
+  return imagePrice(pricing, IMAGE_MODEL, quality, apiSize) + pricing.callOverhead;
+}
+
+function overBudgetError(label, maxBudget) {
+  return Object.assign(new Error(`${label}: MAX_BUDGET of $${maxBudget.toFixed(2)} reached`), { overBudget: true });
+}
+
+async function loadPricingOrThrow(cfg) {
+  try {
+    return await loadPricing(cfg.pricingFile);
+  } catch (err) {
+    throw configError(`Cannot load PRICING_FILE ${cfg.pricingFile}: ${err.message}`);
+  }
+}
+
+// `calls` gets one entry per image that came back (API or cache), for the
+// run manifest
+function newStats() {
+  return { apiCalls: 0, cacheHits: 0, cost: 0, contextCalls: 0, contextCost: 0, calls: [] };
+}
+
+// What a cache key records of the backend: the name, plus the endpoint for
+// http, so two self-hosted servers never serve each other's results
+function backendCacheId(name, cfg) {
+  return name === "http" ? `http ${cfg.httpBackendUrl}` : name;
+}
+
+// The backend named by cfg.backend, checked for the key it needs
+function createConfiguredBackend(cfg) {
+  if (!CASSETTE_MODES.includes(cfg.cassetteMode)) {
+    throw configError(`Unknown CASSETTE_MODE "${cfg.cassetteMode}" (expected ${CASSETTE_MODES.join(", ")})`);
+  }
+  let backend;
+  try {
+    backend = createBackend(cfg.backend, {
+      quality: cfg.quality,
+      maxWidth: tierOf(cfg).maxWidth,
+      instructions: SYSTEM_INSTRUCTIONS,
+      url: cfg.httpBackendUrl,
+      token: cfg.httpBackendToken,
+      apiKey: cfg.openaiApiKey,
+      cassette: cfg.cassetteMode === "off" ? null : { mode: cfg.cassetteMode, dir: cfg.cassetteDir, matchImages: cfg.cassetteMatchImages },
+    });
+  } catch (err) {
+    throw configError(err.message);
+  }
+  if (backend.requiresApiKey && !cfg.openaiApiKey)
+    throw configError(`Missing OPENAI_API_KEY in .env (required by BACKEND=${backend.name})`);
+  return backend;
+}
+
+// Colorize one segment on its own. options: settings (see lib/config.js)
+// plus, to share them with other calls, `stats` (counters added to),
+// `budget` and `pricing`; each is created from the settings when missing.
+// `backend` may also be a backend object (see lib/backends.js) instead of
+// a name. `references` are extra images sent along (see "Reference
+// images"), `logger` as for colorizeChapter. Resolves to { buffer, cached };
+// API errors are thrown as they come (see withRetry for retrying them).
+export async function colorizeSegment(segBuf, index, total, prompt, options = {}) {
+  const custom = typeof options.backend === "object" ? options.backend : null;
+  const cfg = resolveConfig({ ...options, backend: custom?.name ?? options.backend });
+  return withLogger(loggerOf(options), async () => colorizeOne(segBuf, index, total, prompt, {
+    ...options,
+    cfg,
+    backend: custom ?? createConfiguredBackend(cfg),
+    stats: options.stats ?? newStats(),
+    budget: options.budget ?? createBudget(cfg.maxBudget > 0 ? cfg.maxBudget : Infinity),
+    pricing: options.pricing ?? await loadPricingOrThrow(cfg),
+  }));
+}
+
+// `inputBuf` is what gets sent when it differs from the original segment
+// (tiles carry their neighbour's colorized overlap); black restoration
+// always compares against the original B&W pixels in `segBuf` (descreened,
+// when cfg.descreen is on). `reserved` means the caller already reserved
+// budget for this call.
+async function colorizeOne(segBuf, index, total, prompt, { cfg, backend, stats, budget, pricing, inputBuf = segBuf, tile = null, reserved = false, references = [] }) {
+  const label = tile
+    ? `Segment ${index + 1}/${total} tile ${tile.index + 1}/${tile.count}`
+    : `Segment ${index + 1}/${total}`;
+  const tag = tile ? `_tile_${pad(tile.index + 1, 2)}` : "";
+
+  // Descreen first, so the request, its cache key, black restoration and
+  // the luminance lock all see smooth gray instead of dots. The original
+  // stays in `originalBuf` for re-toning and speech bubbles.
+  const originalBuf = segBuf;
+  let tone = null;
+  if (cfg.descreen) {
+    tone = await descreen(segBuf, cfg.descreenSigma);
+    if (tone.mask) {
+      log(`    ${label}: descreened ${Math.round(tone.coverage * 100)}% screentone`);
+      await debugSave(`02_segment_${pad(index + 1)}${tag}_tone_mask.png`, tone.mask, cfg);
+      await debugSave(`02_segment_${pad(index + 1)}${tag}_descreened.png`, tone.buffer, cfg);
+      inputBuf = inputBuf === segBuf ? tone.buffer : (await descreen(inputBuf, cfg.descreenSigma)).buffer;
+      segBuf = tone.buffer;
+    }
+  }
+
+  const prepared = await backend.prepare(inputBuf);
+  const { origW, origH, workW, workH, fitW, fitH, aw, ah, apiSize } = prepared;
+
+  let workBuf = prepared.workBuf;
+  if (inputBuf !== segBuf) {
+    workBuf = workW === origW && workH === origH
+      ? segBuf
+      : await sharp(segBuf).resize(workW, workH, { fit: "fill", kernel: "lanczos3" }).png().toBuffer();
+  }
+
+  log(`    ${label}: prepared ${origW}x${origH} → ${workW}x${workH} → ${fitW}x${fitH} padded to ${aw}x${ah}`);
+
+  // Reuse a previous result when nothing that feeds the request changed
+  let apiOut = null;
+  let cacheKey = null;
+  const { rest: keyPrompt, context } = splitContext(prompt);
+  if (cfg.cache) {
+    cacheKey = await segmentCacheKey(inputBuf, {
+      prompt: keyPrompt, quality: cfg.quality, apiSize, backend: backendCacheId(backend.name, cfg), references: references.map((r) => r.buffer),
+    });
+    apiOut = await readCachedSegment(cfg.cacheDir, cacheKey);
+    if (apiOut) {
+      stats.cacheHits++;
+      log(`    ${label}: cache hit (${cacheKey.slice(0, 12)}) — skipping API call`);
+    }
+  }
+
+  const cached = apiOut !== null;
+  let usage = null;
+  let cost = 0;
+  if (!cached) {
+    const estimate = callEstimate(pricing, cfg.quality, apiSize, backend.name);
+    if (!reserved && !budget.reserve(estimate)) throw overBudgetError(label, cfg.maxBudget);
+
+    try {
+      stats.apiCalls++;
+      ({ image: apiOut, usage } = await backend.colorize(prepared, prompt, label, references.map((r) => r.buffer)));
+    } finally {
+      if (!reserved) budget.release(estimate);
+    }
+
+    // Cost from the usage the backend actually reported
+    cost = usageCost(usage, pricing);
+    stats.cost += cost;
+    budget.spend(cost);
+    if (usage) {
+      const tokens = usage.input_tokens != null ? `, tokens: ${usage.input_tokens}+${usage.output_tokens || 0}` : "";
+      log(`    ${label}: cost $${cost.toFixed(3)}${tokens}`);
+    }
+
+    // Best effort: a paid result is kept even when it can't be cached
+    if (cfg.cache) {
+      await writeCachedSegment(cfg.cacheDir, cacheKey, apiOut, {
+        segment: index + 1,
+        ...(tile ? { tile: tile.index + 1 } : {}),
+        inputDir: path.resolve(cfg.inputDir),
+        size: `${origW}x${origH}`,
+        apiSize,
+        quality: cfg.quality,
+        backend: backend.name,
+        palette: cfg.palette,
+        // The learned context the result was made with, which the key leaves out
+        contextHash: context && promptHash(context),
+        cost,
+      }).catch((err) => warn(`    ${label}: could not write the segment cache (${err.message})`));
+    }
+  }
+
+  const call = {
+    tile: tile && tile.index + 1,
+    promptHash: promptHash(prompt),
+    cached,
+    cacheKey,
+    apiSize,
+    resize: { original: `${origW}x${origH}`, working: `${workW}x${workH}`, fitted: `${fitW}x${fitH}`, padded: `${aw}x${ah}` },
+    descreened: tone?.mask ? Math.round(tone.coverage * 100) / 100 : null,
+    tokens: usage?.input_tokens != null ? { input: usage.input_tokens, output: usage.output_tokens || 0 } : null,
+    cost,
+    bubbles: 0,
+  };
+  stats.calls?.push(call);
+
+  // Crop out the padding (still at working resolution)
+  const cropped = await sharp(apiOut)
+    .extract({ left: 0, top: 0, width: fitW, height: fitH })
+    .resize(workW, workH, { fit: "fill", kernel: "lanczos3" })
+    .png()
+    .toBuffer();
+
+  // Restore blacks at working resolution so both images are at the same scale.
+  // This avoids jagged artifacts from comparing crisp originals against upscaled output.
+  const restored = cfg.restoreBlacks ? await restoreBlacks(workBuf, cropped) : cropped;
+
+  // Upscale to original full-res dimensions
+  let full = restored;
+  if (workW !== origW || workH !== origH) {
+    full = await sharp(restored)
+      .resize(origW, origH, { fit: "fill", kernel: "lanczos3" })
+      .png()
+      .toBuffer();
+  }
+
+  if (cfg.lumaLock) {
+    full = await lockLuminance(segBuf, full, cfg.lumaLockStrength);
+  }
+
+  if (tone?.mask && cfg.retone === "tone") {
+    await debugSave(`03_segment_${pad(index + 1)}${tag}_before_retone.png`, full, cfg);
+    full = await retone(full, originalBuf, tone.buffer, tone.mask, cfg.retoneStrength);
+  }
+
+  // Bubbles are pasted at full resolution, so lettering matches the original
+  // exactly whatever the quality tier downscaled to
+  if (cfg.protectBubbles) {
+    const protectedBubbles = await protectBubbles(originalBuf, full);
+    call.bubbles = protectedBubbles.count;
+    if (protectedBubbles.count > 0) {
+      log(`    ${label}: protected ${protectedBubbles.count} speech bubble(s)`);
+      await debugSave(`03_segment_${pad(index + 1)}${tag}_bubble_mask.png`, protectedBubbles.mask, cfg);
+      full = protectedBubbles.buffer;
+    }
+  }
+
+  return { buffer: full, cached };
+}
+
+// ── Step 4b: Overlapping tiles for tall segments ──────────────────────────
+// A segment taller than maxSegmentHeight is cut into tiles that share
+// tileOverlap rows with their neighbour. Tiles are colorized top to bottom;
+// each tile is sent with its top overlap already replaced by the previous
+// tile's colorized pixels, so the model continues those colors instead of
+// choosing new ones. The overlaps are then linearly cross-faded, leaving no
+// seam or color jump at tile edges.
+
+// Tile height and overlap for a segment of the given width
+function tileGeometry(width, { tileHeight, maxSegmentHeight, tileOverlap }) {
+  const tileH = Math.min(tileHeight || Math.round(width * 1.5), maxSegmentHeight);
+  return { tileH, overlap: Math.min(tileOverlap, Math.floor(tileH / 2)) };
+}
+
+// Evenly sized tiles covering [0, height), consecutive ones sharing `overlap` rows.
+function planTiles(height, tileH, overlap) {
+  if (height <= tileH) return [{ top: 0, height }];
+  const count = Math.ceil((height - overlap) / (tileH - overlap));
+  const step = Math.ceil((height - overlap) / count);
+  const tiles = [];
+  for (let k = 0; k < count; k++) {
+    const top = Math.min(k * step, height - (step + overlap));
+    tiles.push({ top, height: Math.min(step + overlap, height - top) });
+  }
+  return tiles;
+}
+
+function tilePrompt(prompt, tile, overlapPct) {
+  const notes = [];
+  if (tile.index > 0) {
+    notes.push(`- The top ${overlapPct}% of this image is ALREADY COLORIZED — it overlaps the part of the scene above. Keep its colors exactly and continue them seamlessly into the rest of the image.`);
+    notes.push("- The image is cut off at the top edge. Do not complete or close off anything cut by the edge.");
+  }
+  if (tile.index < tile.count - 1) {
+    notes.push("- The scene continues below the bottom edge. Do not complete or close off anything cut by the edge.");
+  }
+  return `${prompt}\n\nTILE CONTEXT: This image is one part of a taller continuous scene.\n${notes.join("\n")}`;
+}
+
+// Composite tiles (RGBA raw buffers) into one strip, cross-fading each
+// overlap from the upper tile (weight 1 → 0) to the lower one.
+async function crossfadeTiles(tileBufs, tiles, width, height) {
+  const ch = 4;
+  const out = Buffer.alloc(width * height * ch);
+  let filledTo = 0; // rows [0, filledTo) already hold the previous tile
+
+  for (let k = 0; k < tiles.length; k++) {
+    const { data } = await sharp(tileBufs[k]).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { top, height: th } = tiles[k];
+    const overlap = Math.max(0, filledTo - top);
+
+    for (let y = 0; y < th; y++) {
+      const dst = (top + y) * width * ch;
+      const src = y * width * ch;
+      if (y < overlap) {
+        const a = (y + 0.5) / overlap; // weight of the lower (current) tile
+        for (let i = 0; i < width * ch; i++) {
+          out[dst + i] = Math.round(out[dst + i] * (1 - a) + data[src + i] * a);
+        }
+      } else {
+        data.copy(out, dst, src, src + width * ch);
+      }
+    }
+    filledTo = top + th;
+  }
+
+  return sharp(out, { raw: { width, height, channels: ch } }).png().toBuffer();
+}
+
+// Colorize a tall segment tile by tile. Returns { buffer, cached } like
+// colorizeSegment, or null if any tile fails (the caller falls back to B&W).
+async function colorizeTiled(segBuf, index, total, prompt, run) {
+  const { cfg, backend, budget, pricing } = run;
+  const { width, height } = await sharp(segBuf).metadata();
+  const { tileH, overlap } = tileGeometry(width, cfg);
+  const tiles = planTiles(height, tileH, overlap);
+  log(`    Segment ${index + 1}/${total}: ${height}px tall — ${tiles.length} tiles of ~${tiles[0].height}px (${overlap}px overlap)`);
+
+  // Reserve every tile up front — a segment stopped halfway by the budget
+  // would be paid for and still fall back to B&W
+  const reservation = planCalls(width, height, tierOf(cfg).maxWidth, cfg)
+    .reduce((sum, c) => sum + callEstimate(pricing, cfg.quality, c.apiSize, backend.name), 0);
+  if (!budget.reserve(reservation)) throw overBudgetError(`Segment ${index + 1}/${total}`, cfg.maxBudget);
+  try {
+    return await colorizeTiles(segBuf, index, total, prompt, tiles, width, height, run);
+  } finally {
+    budget.release(reservation);
+  }
+}
+
+async function colorizeTiles(segBuf, index, total, prompt, tiles, width, height, { limiter, ...run }) {
+  const results = [];
+  let allCached = true;
+  for (let k = 0; k < tiles.length; k++) {
+    const t = tiles[k];
+    const tile = { index: k, count: tiles.length };
+    const original = await sharp(segBuf)
+      .extract({ left: 0, top: t.top, width, height: t.height })
+      .png()
+      .toBuffer();
+
+    // Paste the previous tile's colorized overlap over this tile's top rows
+    let inputBuf = original;
+    let tileOverlap = 0;
+    if (k > 0) {
+      const prev = tiles[k - 1];
+      tileOverlap = prev.top + prev.height - t.top;
+      const context = await sharp(results[k - 1])
+        .extract({ left: 0, top: prev.height - tileOverlap, width, height: tileOverlap })
+        .png()
+        .toBuffer();
+      inputBuf = await sharp(original).composite([{ input: context, top: 0, left: 0 }]).png().toBuffer();
+    }
+
+    await debugSave(`02_segment_${pad(index + 1)}_tile_${pad(k + 1, 2)}_input.png`, inputBuf, run.cfg);
+    const tPrompt = tilePrompt(prompt, tile, Math.round((tileOverlap / t.height) * 100));
+    const result = await withRetry(
+      () => colorizeOne(original, index, total, tPrompt, { ...run, inputBuf, tile, reserved: true }),
+      `Segment ${index + 1}/${total} tile ${k + 1}/${tiles.length}`,
+      limiter
+    );
+    if (result === null) return null;
+
+    allCached &&= result.cached;
+    results.push(result.buffer);
+    await debugSave(`03_segment_${pad(index + 1)}_tile_${pad(k + 1, 2)}_colorized.png`, result.buffer, run.cfg);
+  }
+
+  return { buffer: await crossfadeTiles(results, tiles, width, height), cached: allCached };
+}
+
+// ── Reference images ───────────────────────────────────────────────────────
+// A reference is { label, describe, buffer }: label for logs and the run
+// summary, describe for the prompt, buffer the downscaled PNG sent.
+
+async function shrinkReference(buf, size) {
+  return sharp(buf)
+    .resize(size, size, { fit: "inside", withoutEnlargement: true })
+    .removeAlpha()
+    .png()
+    .toBuffer();
+}
+
+async function loadKeyFrame({ keyFrame, referenceSize }) {
+  if (!keyFrame) return null;
+  try {
+    return {
+      label: `key frame ${path.basename(keyFrame)}`,
+      describe: "a key frame chosen as the color reference for this chapter",
+      buffer: await shrinkReference(await fsp.readFile(keyFrame), referenceSize),
+    };
+  } catch (err) {
+    throw configError(`Cannot read KEY_FRAME ${keyFrame}: ${err.message}`);
+  }
+}
+
+async function neighborReference(index, colorizedBuf, size) {
+  return {
+    label: `segment ${index + 1}`,
+    describe: "the panel just above this one, already colorized",
+    buffer: await shrinkReference(colorizedBuf, size),
+  };
+}
+
+function referencePrompt(prompt, references) {
+  if (references.length === 0) return prompt;
+  const lines = references.map((r, k) => `- Image ${k + 2}: ${r.describe}.`);
+  return `${prompt}
+
+REFERENCE IMAGES: The first image is the panel to colorize. The other image(s) are already-colorized references:
+${lines.join("\n")}
+Wherever a character, outfit, room or object appears in both, match the reference's colors exactly — same hues, same shading. Use the references for color only: never copy their content, composition or line art into the panel.`;
+}
+
+// ── Palette adherence ──────────────────────────────────────────────────────
+// Score a colorized segment against the locked colors and, below
+// adherenceMin, re-request it with a correction note naming each drifted
+// color. Every attempt is scored and the best one kept, so a retry can
+// only improve the segment. A retry that runs into the budget cap keeps
+// what is already there. Resolves to { colorized, adherence } with
+// adherence = { score, drifted, attempts } (score null = nothing related).
+
+async function enforceAdherence(colorized, prompt, colorize, lockedColors, label, { adherenceMin, adherenceRetries }) {
+  let best = colorized;
+  let score = await checkAdherence(colorized.buffer, lockedColors);
+  let attempts = 1;
+  const below = (s) => adherenceMin > 0 && s.score !== null && s.score < adherenceMin;
+
+  let latest = score;
+  while (below(score) && attempts <= adherenceRetries) {
+    log(`    ${label}: palette adherence ${percent(score.score)} (min ${percent(adherenceMin)}) — re-requesting with ${latest.drifted.length} color correction(s)`);
+    let retry;
+    try {
+      retry = await colorize(`${prompt}\n\n${reinforcementNote(latest.drifted)}`);
+    } catch (err) {
+      if (!err.overBudget) throw err;
+      warn(`    ${label}: over budget — keeping the first attempt`);
+      break;
+    }
+    attempts++;
+    if (retry === null) break;
+    latest = await checkAdherence(retry.buffer, lockedColors);
+    if (latest.score !== null && (score.score === null || latest.score > score.score)) {
+      best = retry;
+      score = latest;
+    }
+    // Nothing drifted left to name — another retry would send the same prompt
+    if (latest.drifted.length === 0) break;
+  }
+
+  if (score.score !== null) {
+    const drift = score.drifted[0];
+    const note = drift ? ` — ${drift.label} drifted: ${drift.hex} for ${drift.target}` : "";
+    log(`    ${label}: palette adherence ${percent(score.score)}${note}`);
+  }
+  return { colorized: best, adherence: { score: score.score, drifted: score.drifted, attempts } };
+}
+
+// ── Step 5: Reassemble colorized segments ──────────────────────────────────
+
+// segments: [{ buffer, height }] top to bottom, all `width` wide
+export async function reassembleSegments(segments, width) {
+  const totalH = segments.reduce((sum, s) => sum + s.height, 0);
+
+  let y = 0;
+  const composites = [];
+  for (const seg of segments) {
+    composites.push({ input: seg.buffer, top: y, left: 0 });
+    y += seg.height;
+  }
+
+  const reassembled = await sharp({
+    create: {
+      width,
+      height: totalH,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 1 },
+    },
+  })
+    .composite(composites)
+    .png()
+    .toBuffer();
+
+  return reassembled;
+}
+
+// ── Step 6: Re-slice into output slices ────────────────────────────────────
+// resliceMode picks how the colorized strip is cut:
+//   fill      the original slice heights, each stretched to the export size
+//   original  the original slice heights and width, untouched
+//   fixed     scaled to the export width, cut every export height rows; the
+//             last slice may be shorter
+//   panel     like fixed, but each cut moves to the middle of the nearest
+//             gutter within resliceTolerance rows, so no slice splits a panel
+
+const RESLICE_MODES = ["fill", "original", "fixed", "panel"];
+
+function checkResliceMode({ resliceMode }) {
+  if (!RESLICE_MODES.includes(resliceMode)) {
+    throw configError(`Unknown RESLICE_MODE "${resliceMode}" (expected ${RESLICE_MODES.join(", ")})`);
+  }
+}
+
+function cutSlice(buf, width, top, height) {
+  return sharp(buf).extract({ left: 0, top, width, height }).png().toBuffer();
+}
+
+// Cut the colorized strip into output slices. originalHeights: the input
+// slice heights; gutters: split points from detectSafeSplitPoints (used by
+// the panel mode). options: settings, plus `output` — the resolved export
+// settings ({ width, height, ... }), loaded from the preset when missing.
+export async function reslice(reassembledBuf, width, originalHeights, gutters, options = {}) {
+  const cfg = resolveConfig(options);
+  checkResliceMode(cfg);
+  const output = options.output ?? await loadExportOrThrow(cfg);
+  if (cfg.resliceMode === "fixed" || cfg.resliceMode === "panel") {
+    return resliceScaled(reassembledBuf, width, gutters, output, cfg);
+  }
+
+  const slices = [];
+  let top = 0;
+  const stripH = (await sharp(reassembledBuf).metadata()).height;
+
+  for (let i = 0; i < originalHeights.length; i++) {
+    const sliceH = originalHeights[i];
+    const remaining = stripH - top;
+    if (remaining <= 0) break;
+
+    const extractH = Math.min(sliceH, remaining);
+    let slice = await cutSlice(reassembledBuf, width, top, extractH);
+
+    // If extracted region is shorter than the original slice, pad with black
+    if (extractH < sliceH) {
+      slice = await sharp({
+        create: {
+          width,
+          height: sliceH,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 1 },
+        },
+      })
+        .composite([{ input: slice, top: 0, left: 0 }])
+        .png()
+        .toBuffer();
+    }
+
+    // Resize to output dimensions if needed
+    if (cfg.resliceMode === "fill" && (width !== output.width || sliceH !== output.height)) {
+      slice = await sharp(slice)
+        .resize(output.width, output.height, { fit: "fill" })
+        .png()
+        .toBuffer();
+    }
+
+    slices.push(slice);
+    top += sliceH;
+  }
+
+  return slices;
+}
+
+// Cut rows for the fixed and panel modes, in the scaled strip
+function planCuts(stripH, sliceH, gutterRows, { resliceMode, resliceTolerance }) {
+  const cuts = [];
+  let moved = 0;
+  let unmoved = 0;
+  let top = 0;
+  while (stripH - top > sliceH) {
+    let cut = top + sliceH;
+    if (resliceMode === "panel") {
+      // Nearest gutter within tolerance that still moves forward
+      let best = null;
+      for (const row of gutterRows) {
+        if (row <= top || row >= stripH || Math.abs(row - cut) > resliceTolerance) continue;
+        if (best === null || Math.abs(row - cut) < Math.abs(best - cut)) best = row;
+      }
+      if (best !== null) {
+        if (best !== cut) moved++;
+        cut = best;
+      } else {
+        unmoved++;
+      }
+    }
+    cuts.push(cut);
+    top = cut;
+  }
+  return { cuts, moved, unmoved };
+}
+
+async function resliceScaled(reassembledBuf, width, gutters, output, cfg) {
+  const scale = output.width / width;
+  let strip = reassembledBuf;
+  if (scale !== 1) {
+    const { height } = await sharp(reassembledBuf).metadata();
+    strip = await sharp(reassembledBuf)
+      .resize(output.width, Math.round(height * scale), { fit: "fill", kernel: "lanczos3" })
+      .png()
+      .toBuffer();
+  }
+  const stripH = (await sharp(strip).metadata()).height;
+
+  const gutterRows = gutters.map((g) => Math.round(g.midPoint * scale));
+  const { cuts, moved, unmoved } = planCuts(stripH, output.height, gutterRows, cfg);
+  if (cfg.resliceMode === "panel") {
+    log(`  Panel-aware cuts: ${moved} moved to a gutter, ${cuts.length - moved - unmoved} already on one` +
+      (unmoved > 0 ? `, ${unmoved} with no gutter within ±${cfg.resliceTolerance}px (cut at ${output.height}px)` : ""));
+  }
+
+  const slices = [];
+  const bounds = [0, ...cuts, stripH];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    slices.push(await cutSlice(strip, output.width, bounds[i], bounds[i + 1] - bounds[i]));
+  }
+  return slices;
+}
+
+function resliceDescription(output, { resliceMode, resliceTolerance }) {
+  switch (resliceMode) {
+    case "original": return "at the original slice sizes";
+    case "fixed": return `to ${output.width}px wide, every ${output.height}px`;
+    case "panel": return `to ${output.width}px wide, ~${output.height}px slices cut at gutters (±${resliceTolerance}px)`;
+    default: return `to ${output.width}x${output.height}`;
+  }
+}
+
+async function loadExportOrThrow(cfg) {
+  let presets;
+  try {
+    presets = await loadExportPresets(cfg.exportPresetsFile);
+  } catch (err) {
+    throw configError(`Cannot load EXPORT_PRESETS_FILE ${cfg.exportPresetsFile}: ${err.message}`);
+  }
+  try {
+    return resolveExport(presets, cfg.exportPreset, {
+      width: cfg.outputWidth,
+      height: cfg.outputHeight,
+      format: cfg.outputFormat,
+      quality: cfg.outputQuality,
+      profile: cfg.colorProfile,
+      maxKB: cfg.maxFileKb,
+    });
+  } catch (err) {
+    throw configError(err.message);
+  }
+}
+
+function describeExport(output) {
+  const format = output.format === "auto" ? "input format" : output.format.toUpperCase();
+  return `${output.name} (${format}, ${output.profile === "none" ? "no color profile" : output.profile}` +
+    `${output.maxKB > 0 ? `, max ${output.maxKB} KB per slice` : ""})`;
+}
+
+// ── Debug helpers ──────────────────────────────────────────────────────────
+
+async function debugSave(name, buf, cfg) {
+  if (!cfg.debug) return;
+  await ensureDir(DEBUG_DIR);
+  await fsp.writeFile(path.join(DEBUG_DIR, name), buf);
+  log(`  [debug] saved ${name}`);
+}
+
+// ── Shared command steps ───────────────────────────────────────────────────
+
+// Steps 1–4: load the input slices, stitch, detect split points and split.
+async function loadStrip(cfg, emit = () => {}) {
+  // 1. Load input slices
+  const { slices: targets, comicInfo } = await readInput(cfg);
+  if (targets.length === 0) throw configError("No PNG, JPEG or WebP images found in " + cfg.inputDir);
+
+  const inFiles = targets.map((t) => t.file);
+  const kind = sourceKind(cfg.inputDir);
+  log(`Found ${inFiles.length} input slices${kind === "directory" ? "" : ` in ${kind === "pdf" ? "PDF" : "archive"} ${path.basename(cfg.inputDir)}`}`);
+  emit({ type: "slices", count: inFiles.length, source: kind });
+
+  // 2. Stitch into one continuous strip
+  log("Stitching slices...");
+  const { buffer: stitchedBuf, width, totalH, heights } =
+    await stitchSlices(inFiles);
+  log(`  Stitched: ${width}x${totalH}`);
+  await debugSave("01_stitched.png", stitchedBuf, cfg);
+
+  // 3. Detect safe split points
+  log("Detecting safe split points...");
+  const splitPoints = await detectSafeSplitPoints(stitchedBuf, cfg);
+  log(
+    `  Found ${splitPoints.length} split points:`,
+    splitPoints.map((sp) => `row ${sp.midPoint} (${sp.color} gap ${sp.height}px)`).join(", ") ||
+      "none"
+  );
+
+  // 4. Split into self-contained segments
+  log("Splitting into segments...");
+  const segments = await splitAtPoints(stitchedBuf, width, totalH, splitPoints);
+  log(`  Created ${segments.length} segments`);
+  emit({ type: "split", splitPoints: splitPoints.length, segments: segments.length });
+
+  // Scene notes are placed by slice rows, so they can only be matched to
+  // segments once the split is known
+  let placed = [];
+  try {
+    const scenes = await loadScenes(cfg.scenesFile);
+    if (scenes) {
+      placed = placeScenes(scenes, targets, heights);
+      log(`  Scenes: ${placed.length} from ${cfg.scenesFile}`);
+    }
+  } catch (err) {
+    throw configError(err.message);
+  }
+  for (const seg of segments) seg.scenes = scenesForSegment(placed, seg.startY, seg.height);
+
+  for (let i = 0; i < segments.length; i++) {
+    const scenes = segments[i].scenes.map((sc) => sc.label).join(", ");
+    log(`    Segment ${i + 1}: ${segments[i].width}x${segments[i].height}${scenes ? ` — ${scenes}` : ""}`);
+    await debugSave(`02_segment_${pad(i + 1)}_input.png`, segments[i].buffer, cfg);
+  }
+
+  return { targets, comicInfo, stitchedBuf, width, totalH, heights, splitPoints, segments };
+}
+
+// Save output slices named after the input slices (same prefix and
+// numbering). Resolves to { saved, overLimit, pages: [{ name, data }] }.
+async function saveSlices(targets, outputSlices, output, cfg, emit = () => {}) {
+  await ensureDir(cfg.outputDir);
+  const { key: namePrefix, idx: startIdx, ext } = targets[0];
+  const idxDigits = String(targets[targets.length - 1].idx).length;
+
+  const format = exportFormat(output, ext);
+  // "auto" keeps the input's extension as well (.jpeg stays .jpeg)
+  const outExt = output.format === "auto" ? ext : formatExtension(format);
+  let overLimit = 0;
+  const pages = [];
+
+  for (let i = 0; i < outputSlices.length; i++) {
+    const idx = startIdx + i;
+    const outName = `${namePrefix}${pad(idx, Math.max(idxDigits, 3))}${outExt}`;
+    const outPath = path.join(cfg.outputDir, outName);
+    const { data, quality, fits } = await encodeSlice(outputSlices[i], output, format);
+    // Slices are replaced atomically and only when their bytes changed, so
+    // a reader of the output folder (or a watch-mode rerun) never sees a
+    // half-written file
+    const previous = await fsp.readFile(outPath).catch(() => null);
+    const unchanged = previous !== null && previous.equals(data);
+    if (!unchanged) await writeAtomic(outPath, data);
+    pages.push({ name: outName, data });
+    const kb = Math.round(data.length / 1024);
+    log(`  ${unchanged ? "Unchanged" : "Saved"} ${outName}${output.maxKB > 0 ? ` (${kb} KB${quality !== null ? `, quality ${quality}` : ""})` : ""}`);
+    emit({ type: "saved", file: outPath, unchanged });
+    if (!fits) {
+      overLimit++;
+      warn(`    WARNING: ${outName} is still ${kb} KB at the lowest quality — over the ${output.maxKB} KB limit`);
+    }
+  }
+  return { saved: outputSlices.length, overLimit, pages };
+}
+
+// The CBZ named by cfg.outputCbz, if any
+async function saveCbz(pages, comicInfo, cfg) {
+  if (!cfg.outputCbz) return;
+  await writeCbz(cfg.outputCbz, pages, {
+    title: sourceName(cfg.inputDir),
+    series: cfg.comicSeries,
+    notes: `Colorized with WebtoonColorizer (palette ${cfg.palette}, ${cfg.quality} quality) on ${new Date().toISOString().slice(0, 10)}`,
+    source: comicInfo,
+  });
+  log(`  Saved ${cfg.outputCbz} (${pages.length} page${pages.length === 1 ? "" : "s"} + ComicInfo.xml)`);
+}
+
+// ── Colorize a chapter ─────────────────────────────────────────────────────
+// The full pipeline. options: settings (see lib/config.js) plus
+//   onProgress  called with an event object at each step (see below)
+//   logger      where the run's progress lines go: anything with log and
+//               warn methods, or null for none. Defaults to the console —
+//               or to none when onProgress is given.
+//   reuse       a previous run's `outputs` (watch mode): segments whose pixels,
+//               scenes and prompt (palette, chapter notes — not learned
+//               context) match take their result from there instead of
+//               being colorized again
+//   out         where a dry run writes its preview (default ./dry-run.png)
+//
+// Progress events, by `type`:
+//   slices   { count, source }            input slices found
+//   split    { splitPoints, segments }    strip split into segments
+//   segment  { index, total, status, done } one segment finished; status is
+//            colorized, cached, reused, skipped, failed or over-budget
+//   cost     { apiCalls, cacheHits, colorizeCost, contextCost, totalCost }
+//   saved    { file, unchanged }          one output slice written
+//
+// Resolves to the run summary (also written to summaryFile when set) plus
+// `files`, the output slice paths, and — when `reuse` was given, even an
+// empty Map — `outputs`: each finished segment's result keyed by its pixels,
+// scenes and prompt, for the next run's `reuse`. Its `failed` and
+// `overBudget` list the segment numbers that fell back to B&W, so the CLI
+// can report a partial failure.
+
+export async function colorizeChapter(options = {}) {
+  return withLogger(loggerOf(options), () => runChapter(options));
+}
+
+function loggerOf(options) {
+  if (options.logger !== undefined) return options.logger;
+  return options.onProgress ? null : console;
+}
+
+async function runChapter(options) {
+  const cfg = resolveConfig(options);
+  const { reuse = null, out = "./dry-run.png" } = options;
+  const emit = (event) => options.onProgress?.(event);
+
+  if (cfg.dryRun) {
+    const { prompt: basePrompt } = await loadPalette(cfg);
+    await dryRun(buildPromptWithContext(basePrompt, await loadContext(cfg), cfg), out, await loadPricingOrThrow(cfg), cfg);
+    return { failed: [], overBudget: [] };
+  }
+
+  const backend = createConfiguredBackend(cfg);
+  const { concurrency, quality, maxBudget } = cfg;
+  // A recorded run is replayed with the prompts it was recorded with, so a
+  // cassette run neither captures nor saves learned context
+  const learn = cfg.captureContext && cfg.cassetteMode === "off";
+
+  log(`Backend: ${backend.name} | Concurrency: ${concurrency} | Quality: ${quality} | Restore blacks: ${cfg.restoreBlacks} | Luma lock: ${cfg.lumaLock ? cfg.lumaLockStrength : "off"} | Descreen: ${cfg.descreen ? (cfg.retone === "tone" ? `re-tone ${cfg.retoneStrength}` : "smooth") : "off"} | Adherence: ${!cfg.adherenceCheck ? "off" : cfg.adherenceMin > 0 ? `min ${cfg.adherenceMin}, ${cfg.adherenceRetries} retr${cfg.adherenceRetries === 1 ? "y" : "ies"}` : "score only"} | Context: ${learn} | Cache: ${cfg.cache} | Budget: ${maxBudget > 0 ? `$${maxBudget.toFixed(2)}` : "none"}${cfg.cassetteMode !== "off" ? ` | Cassette: ${cfg.cassetteMode} ${cfg.cassetteDir}` : ""}`);
+
+  const startedAt = new Date().toISOString();
+  const pricing = await loadPricingOrThrow(cfg);
+  const budget = createBudget(maxBudget > 0 ? maxBudget : Infinity);
+
+  const { prompt: BASE_PROMPT, palette } = await loadPalette(cfg);
+  const lockedColors = cfg.adherenceCheck ? paletteColors(palette) : [];
+  const contextStore = await loadContext(cfg);
+  const PROMPT = buildPromptWithContext(BASE_PROMPT, contextStore, cfg);
+  // Part of the reuse key; like the cache key, without learned context
+  const reusePrompt = reuse && promptHash(splitContext(PROMPT).rest);
+
+  if (!["none", "neighbor"].includes(cfg.referenceMode)) {
+    throw configError(`Unknown REFERENCE_MODE "${cfg.referenceMode}" (expected none or neighbor)`);
+  }
+  checkResliceMode(cfg);
+  if (!["smooth", "tone"].includes(cfg.retone)) {
+    throw configError(`Unknown RETONE "${cfg.retone}" (expected smooth or tone)`);
+  }
+  const output = await loadExportOrThrow(cfg);
+  log(`Export: ${describeExport(output)}`);
+  const keyFrame = await loadKeyFrame(cfg);
+  const neighbors = cfg.referenceMode === "neighbor";
+  const refNotes = [neighbors && "previous segment (each segment waits for the one above)", keyFrame?.label].filter(Boolean);
+  if (refNotes.length > 0) log(`References: ${refNotes.join(" + ")}, downscaled to ${cfg.referenceSize}px`);
+
+  const strip = await loadStrip(cfg, emit);
+  const { targets, comicInfo, width, heights, segments, splitPoints } = strip;
+
+  // With neighbor references each worker hands the next segment its
+  // reference: its own colorized content, or the one it was handed when it
+  // has none (skipped, failed). A worker waits for its reference only right
+  // before colorizing, and hands its own on as soon as the first attempt is
+  // back, so blank checks, gutter trimming, adherence re-requests and
+  // context capture still run in parallel while the colorize calls run in
+  // order.
+  const handOff = [];
+  const handedOff = segments.map(() => new Promise((resolve) => handOff.push(resolve)));
+
+  // 5. Colorize segments in parallel. Each worker returns a record for its
+  // segment; everything order-sensitive (stats, failures, learned context) is
+  // folded in segment order afterwards, so the result doesn't depend on which
+  // call finished first.
+  log(`Colorizing segments (${concurrency} at a time)...`);
+  const limiter = createRateLimiter(concurrency);
+  let done = 0;
+
+  const colorizeAt = async (i) => {
+    const label = `Segment ${i + 1}/${segments.length}`;
+    const stats = newStats();
+    log(`  ${label} (${segments[i].width}x${segments[i].height})...`);
+
+    const handedDown = () => (neighbors && i > 0 ? handedOff[i - 1] : Promise.resolve(null));
+    let nextReference = null;
+
+    const reuseKey = reuse && await imageHash(segments[i].buffer, [reusePrompt, ...segments[i].scenes.map((sc) => sc.text)].join("\n"));
+    const previous = reuse?.get(reuseKey);
+
+    // Check if segment is blank/text-on-black before making API call
+    const blankReason = !previous && await isBlankSegment(segments[i].buffer, cfg);
+    let record;
+
+    if (previous) {
+      log(`    ${label}: unchanged — reusing the previous result`);
+      record = { status: "reused", buffer: previous, stats, newColors: [] };
+      if (neighbors) nextReference = await neighborReference(i, previous, cfg.referenceSize);
+    } else if (blankReason) {
+      nextReference = await handedDown();
+      log(`    ${label}: ${blankReason} — skipping API call`);
+      record = { status: "skipped", buffer: segments[i].buffer, stats, newColors: [], blankReason };
+    } else {
+      // Only the content between the gutters is sent; gutters are pasted back as-is
+      const content = await trimGutters(segments[i]);
+      const segmentPrompt = scenePrompt(PROMPT, segments[i].scenes);
+      const neighbor = await handedDown();
+      const references = [neighbor, keyFrame].filter(Boolean);
+      nextReference = neighbor;
+      if (references.length > 0) log(`    ${label}: references ${references.map((r) => r.label).join(", ")}`);
+      const run = { cfg, backend, stats, budget, pricing, references };
+      const colorize = (prompt) => content.height > cfg.maxSegmentHeight
+        ? colorizeTiled(content.buffer, i, segments.length, referencePrompt(prompt, references), { ...run, limiter })
+        : withRetry(
+          () => colorizeOne(content.buffer, i, segments.length, referencePrompt(prompt, references), run),
+          label,
+          limiter
+        );
+      let colorized;
+      let adherence = null;
+      let overBudget = false;
+      try {
+        colorized = await colorize(segmentPrompt);
+      } catch (err) {
+        if (!err.overBudget) throw err;
+        overBudget = true;
+      }
+      if (colorized && neighbors) nextReference = await neighborReference(i, colorized.buffer, cfg.referenceSize);
+      handOff[i](nextReference);
+      if (colorized && lockedColors.length > 0) {
+        // Scene notes that name palette entries limit the check to them
+        const locked = namedColors(lockedColors, segments[i].scenes.map((sc) => sc.text).join("\n")) ?? lockedColors;
+        ({ colorized, adherence } = await enforceAdherence(colorized, segmentPrompt, colorize, locked, label, cfg));
+      }
+      const result = colorized && {
+        ...colorized,
+        buffer: await restoreGutters(segments[i], content, colorized.buffer),
+      };
+
+      if (overBudget) {
+        warn(`    ${label}: over budget — leaving B&W`);
+        record = { status: "over-budget", buffer: segments[i].buffer, stats, newColors: [] };
+      } else if (result === null) {
+        // All retries exhausted — fall back to B&W
+        warn(`    → Using original B&W for segment ${i + 1}`);
+        record = { status: "failed", buffer: segments[i].buffer, stats, newColors: [] };
+      } else {
+        // Capture color decisions for unlocked elements. Cache hits skip
+        // capture — their colors were learned on the first run.
+        // Capture is skipped too once the budget is exhausted, and for
+        // scene-lit segments, whose night or sepia colors would otherwise
+        // be learned for every daylight prompt of the arc.
+        const newColors = learn && !result.cached && !budget.exhausted && segments[i].scenes.length === 0
+          ? await captureContext(result.buffer, BASE_PROMPT, { backend, stats, budget, pricing })
+          : [];
+        record = {
+          status: result.cached ? "cached" : "colorized",
+          buffer: result.buffer,
+          stats,
+          newColors,
+          adherence,
+          references: references.map((r) => r.label),
+        };
+      }
+      record.content = { top: content.top, height: content.height };
+    }
+
+    record.reuseKey = reuseKey;
+    handOff[i](nextReference);
+    await debugSave(`03_segment_${pad(i + 1)}_colorized.png`, record.buffer, cfg);
+    done++;
+    log(`  [${done}/${segments.length}] ${label} ${record.status}`);
+    emit({ type: "segment", index: i, total: segments.length, status: record.status, done });
+    return record;
+  };
+
+  // A worker that throws still releases the segment below it, with no
+  // reference (a hand-off that already happened is kept)
+  const records = await runPool(segments.length, concurrency, async (i) => {
+    try {
+      return await colorizeAt(i);
+    } finally {
+      handOff[i](null);
+    }
+  });
+
+  // Fold per-segment records in segment order
+  const stats = newStats();
+  let skippedSegments = 0;
+  let reusedSegments = 0;
+  const outputs = new Map();
+  const failedIndices = [];
+  const overBudgetIndices = [];
+  const colorizedSegments = [];
+  const adherenceScores = [];
+  const referencesUsed = [];
+  const scenesUsed = [];
+  let contextLearned = 0;
+  let contextChanged = false;
+  for (let i = 0; i < records.length; i++) {
+    const r = records[i];
+    if (segments[i].scenes.length > 0) {
+      scenesUsed.push({ segment: i + 1, scenes: segments[i].scenes.map((sc) => sc.label) });
+    }
+    if (r.references?.length > 0) referencesUsed.push({ segment: i + 1, references: r.references });
+    if (r.adherence?.score != null) {
+      adherenceScores.push({ segment: i + 1, score: r.adherence.score, attempts: r.adherence.attempts, drifted: r.adherence.drifted.slice(0, 3) });
+    }
+    stats.apiCalls += r.stats.apiCalls;
+    stats.cacheHits += r.stats.cacheHits;
+    stats.cost += r.stats.cost;
+    stats.contextCalls += r.stats.contextCalls;
+    stats.contextCost += r.stats.contextCost;
+    if (r.status === "skipped") skippedSegments++;
+    if (r.status === "reused") reusedSegments++;
+    // Failed and over-budget segments are left out, so they are retried
+    if (r.reuseKey && !["failed", "over-budget"].includes(r.status)) outputs.set(r.reuseKey, r.buffer);
+    if (r.status === "failed") failedIndices.push(i + 1);
+    if (r.status === "over-budget") overBudgetIndices.push(i + 1);
+
+    if (r.newColors.length > 0) {
+      const c = observe(contextStore, r.newColors, { input: path.basename(path.resolve(cfg.inputDir)), segment: i + 1 });
+      contextLearned += c.added;
+      contextChanged ||= c.added + c.confirmed + c.replaced + c.flagged + c.outvoted > 0;
+      const parts = [
+        c.added && `+${c.added} new`,
+        c.confirmed && `${c.confirmed} confirmed`,
+        c.replaced && `${c.replaced} replaced by majority`,
+        c.flagged && `${c.flagged} conflict(s) flagged`,
+      ].filter(Boolean);
+      if (parts.length > 0) log(`  Context from segment ${i + 1}: ${parts.join(", ")} (${contextStore.entries.length} total)`);
+    }
+
+    colorizedSegments.push({
+      buffer: r.buffer,
+      height: segments[i].height,
+    });
+  }
+
+  // Final summary with the cost of every call made (cache hits are free)
+  const totalCost = stats.cost + stats.contextCost;
+  log(`\nAPI summary: ${stats.apiCalls} calls, ${stats.cacheHits} cached,${reuse ? ` ${reusedSegments} unchanged,` : ""} ${skippedSegments} skipped, ${failedIndices.length} failed, ${overBudgetIndices.length} over budget`);
+  log(`Cost: $${totalCost.toFixed(2)} (colorize $${stats.cost.toFixed(2)}, context capture $${stats.contextCost.toFixed(2)} over ${stats.contextCalls} call(s))`);
+  emit({
+    type: "cost",
+    apiCalls: stats.apiCalls,
+    cacheHits: stats.cacheHits,
+    colorizeCost: round4(stats.cost),
+    contextCost: round4(stats.contextCost),
+    totalCost: round4(totalCost),
+  });
+  if (failedIndices.length > 0) {
+    warn(`Failed segments (fell back to B&W): ${failedIndices.join(", ")}`);
+  }
+  const adherenceAvg = adherenceScores.length > 0
+    ? adherenceScores.reduce((sum, a) => sum + a.score, 0) / adherenceScores.length
+    : null;
+  if (adherenceAvg !== null) {
+    const lowest = adherenceScores.reduce((lo, a) => (a.score < lo.score ? a : lo));
+    const retried = adherenceScores.filter((a) => a.attempts > 1).length;
+    log(`Palette adherence: avg ${percent(adherenceAvg)} over ${adherenceScores.length} segment(s), lowest ${percent(lowest.score)} (segment ${lowest.segment})${retried > 0 ? `, ${retried} re-requested` : ""}`);
+  }
+  if (overBudgetIndices.length > 0) {
+    warn(`Over budget (MAX_BUDGET $${maxBudget.toFixed(2)}, left B&W): ${overBudgetIndices.join(", ")}`);
+  }
+
+  // A replay costs nothing, so it leaves the ledger alone
+  const replay = cfg.cassetteMode === "replay";
+  if (!replay) {
+    await appendLedger(cfg.ledgerFile, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      inputDir: path.resolve(cfg.inputDir),
+      palette: cfg.palette,
+      backend: backend.name,
+      quality,
+      segments: segments.length,
+      apiCalls: stats.apiCalls,
+      cacheHits: stats.cacheHits,
+      contextCalls: stats.contextCalls,
+      colorizeCost: round4(stats.cost),
+      contextCost: round4(stats.contextCost),
+      totalCost: round4(totalCost),
+      maxBudget: maxBudget || null,
+      adherence: adherenceAvg === null ? null : round4(adherenceAvg),
+      failed: failedIndices,
+      overBudget: overBudgetIndices,
+    });
+  }
+
+  // Save learned context
+  if (learn && contextChanged) {
+    await saveStore(contextPath(cfg), contextStore);
+    log(`Context saved: ${contextStore.entries.length} entries → ${contextPath(cfg)}`);
+  }
+
+  // Keep the cache bounded — old and excess entries are evicted LRU-first
+  if (cfg.cache) {
+    const pruned = await pruneCache(cfg.cacheDir, {
+      maxAgeDays: cfg.cacheMaxAgeDays,
+      maxBytes: cfg.cacheMaxMb * 1024 * 1024,
+    });
+    if (pruned.removed > 0) log(`Cache: pruned ${pruned.removed} stale entries`);
+  }
+
+  // 6. Reassemble
+  log("Reassembling...");
+  const reassembled = await reassembleSegments(colorizedSegments, width);
+  await debugSave("04_reassembled.png", reassembled, cfg);
+
+  // 7. Re-slice to match original input slice dimensions
+  log(`Re-slicing ${resliceDescription(output, cfg)}...`);
+  const outputSlices = await reslice(reassembled, width, heights, splitPoints, { ...cfg, output });
+
+  // 8. Save output
+  const { saved, overLimit, pages } = await saveSlices(targets, outputSlices, output, cfg, emit);
+  await saveCbz(pages, comicInfo, cfg);
+  if (cfg.manifest) {
+    const manifest = await buildManifest({
+      cfg, backend, startedAt, prompt: PROMPT, basePrompt: BASE_PROMPT, strip, records, stats, pages,
+    });
+    await writeManifest(cfg.manifestFile, manifest);
+    log(`  Saved manifest ${cfg.manifestFile}`);
+  }
+
+  const summary = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    inputDir: path.resolve(cfg.inputDir),
+    outputDir: path.resolve(cfg.outputDir),
+    palette: cfg.palette,
+    arc: cfg.arc,
+    quality,
+    outputSize: `${output.width}x${output.height}`,
+    resliceMode: cfg.resliceMode,
+    export: { ...output, overLimit },
+    slices: saved,
+    cbz: cfg.outputCbz ? path.resolve(cfg.outputCbz) : null,
+    manifest: cfg.manifest ? path.resolve(cfg.manifestFile) : null,
+    segments: segments.length,
+    skipped: skippedSegments,
+    apiCalls: stats.apiCalls,
+    cacheHits: stats.cacheHits,
+    cost: round4(totalCost),
+    contextLearned,
+    adherence: {
+      average: adherenceAvg === null ? null : round4(adherenceAvg),
+      segments: adherenceScores,
+    },
+    scenes: scenesUsed,
+    references: {
+      mode: cfg.referenceMode,
+      keyFrame: cfg.keyFrame ? path.resolve(cfg.keyFrame) : null,
+      segments: referencesUsed,
+    },
+    failed: failedIndices,
+    overBudget: overBudgetIndices,
+  };
+  if (cfg.summaryFile) {
+    await ensureDir(path.dirname(cfg.summaryFile));
+    await fsp.writeFile(cfg.summaryFile, JSON.stringify(summary, null, 2));
+  }
+
+  log(
+    `Done. ${saved} slices saved to ${cfg.outputDir}` +
+    (overLimit > 0 ? ` (${overLimit} over the ${output.maxKB} KB limit)` : "")
+  );
+  return { ...summary, files: pages.map((p) => path.join(cfg.outputDir, p.name)), outputs };
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function percent(score) {
+  return `${Math.round(score * 100)}%`;
+}
+
+// ── Detect command ─────────────────────────────────────────────────────────
+// Print split points and write a preview of the strip with the gutter
+// bands and cut lines drawn on it. No API calls.
+
+const PREVIEW_MAX_W = 600;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Downscaled copy of the strip with an SVG overlay of gutters and cuts.
+// Optional per-segment notes ({ startY, height, skipped, label, tileTops })
+// shade skipped segments, label each segment and mark tile boundaries.
+async function renderSplitPreview(stitchedBuf, width, totalH, splitPoints, notes = []) {
+  const scale = Math.min(1, PREVIEW_MAX_W / width);
+  const pw = Math.round(width * scale);
+  const ph = Math.max(1, Math.round(totalH * scale));
+  const shapes = notes.map((n) => {
+    const y0 = n.startY * scale;
+    const parts = [];
+    if (n.skipped) {
+      parts.push(`<rect x="0" y="${y0}" width="${pw}" height="${n.height * scale}" fill="#7F7F7F" fill-opacity="0.6"/>`);
+    }
+    for (const top of n.tileTops || []) {
+      const ty = (n.startY + top) * scale;
+      parts.push(`<line x1="0" y1="${ty}" x2="${pw}" y2="${ty}" stroke="#FFC400" stroke-width="2" stroke-dasharray="8 6"/>`);
+    }
+    parts.push(`<rect x="0" y="${y0}" width="${Math.min(pw, n.label.length * 7 + 12)}" height="18" fill="#000" fill-opacity="0.7"/>`);
+    parts.push(`<text x="6" y="${y0 + 13}" font-family="sans-serif" font-size="12" fill="${n.skipped ? "#BBBBBB" : "#7CFF7C"}">${escapeXml(n.label)}</text>`);
+    return parts.join("");
+  });
+  shapes.push(...splitPoints.map((sp) => {
+    const y0 = sp.startRow * scale;
+    const bandH = Math.max(1, sp.height * scale);
+    const cy = sp.midPoint * scale;
+    return [
+      `<rect x="0" y="${y0}" width="${pw}" height="${bandH}" fill="#00B7FF" fill-opacity="0.25"/>`,
+      `<line x1="0" y1="${cy}" x2="${pw}" y2="${cy}" stroke="#FF2D2D" stroke-width="2"/>`,
+      `<text x="6" y="${cy - 4}" font-family="sans-serif" font-size="12" fill="#FF2D2D" stroke="#000" stroke-width="0.3">${escapeXml(`row ${sp.midPoint} · ${sp.color} gap ${sp.height}px`)}</text>`,
+    ].join("");
+  }));
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${pw}" height="${ph}">${shapes.join("")}</svg>`;
+
+  return sharp(stitchedBuf)
+    .resize(pw, ph, { fit: "fill" })
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
+
+export async function detectCommand(cfg, { out = "./detect.png" } = {}) {
+  const { stitchedBuf, width, totalH, splitPoints } = await loadStrip(cfg);
+
+  log("\n  #   cut row   gap rows        height  color");
+  splitPoints.forEach((sp, i) => {
+    log(
+      `  ${String(i + 1).padStart(2)}  ${String(sp.midPoint).padStart(7)}   ` +
+        `${`${sp.startRow}–${sp.endRow}`.padEnd(14)}  ${String(sp.height).padStart(5)}px  ${sp.color}`
+    );
+  });
+
+  await ensureDir(path.dirname(out));
+  await fsp.writeFile(out, await renderSplitPreview(stitchedBuf, width, totalH, splitPoints));
+  log(`\nPreview saved to ${out}`);
+}
+
+// ── Dry run ────────────────────────────────────────────────────────────────
+// Everything up to the first API call: split, blank detection, gutter
+// trimming, tiling and API size selection. Prints a per-tier forecast of
+// API calls and cost and writes an annotated preview of the strip.
+
+// The API calls one segment will need at a given quality tier, as a list of
+// API sizes (one per tile; a single entry for an untiled segment).
+function planCalls(width, height, maxWidth, cfg) {
+  const { tileH, overlap } = tileGeometry(width, cfg);
+  const tiles = height > cfg.maxSegmentHeight ? planTiles(height, tileH, overlap) : [{ top: 0, height }];
+  return tiles.map((t) => {
+    const workW = Math.min(width, maxWidth);
+    const workH = Math.round(t.height * (workW / width));
+    const { aw, ah } = pickApiSize(workW, workH);
+    return { top: t.top, apiSize: `${aw}x${ah}` };
+  });
+}
+
+function countSizes(sizes) {
+  const counts = {};
+  for (const size of sizes) counts[size] = (counts[size] || 0) + 1;
+  return Object.entries(counts).map(([size, n]) => `${size} ×${n}`).join(", ");
+}
+
+async function dryRun(prompt, out, pricing, cfg) {
+  const keyFrame = await loadKeyFrame(cfg);
+  const { stitchedBuf, width, totalH, splitPoints, segments } = await loadStrip(cfg);
+
+  log("\nDry run — no API calls will be made.");
+  const notes = [];
+  const plans = [];
+  let cachedCalls = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    const blankReason = await isBlankSegment(seg.buffer, cfg);
+    if (blankReason) {
+      log(`  Segment ${i + 1}: ${blankReason} — skipped`);
+      notes.push({ startY: seg.startY, height: seg.height, skipped: true, label: `#${i + 1} skip: ${blankReason}` });
+      continue;
+    }
+
+    const content = await trimGutters(seg);
+    const calls = planCalls(seg.width, content.height, tierOf(cfg).maxWidth, cfg);
+    const tiled = calls.length > 1;
+
+    // Tiles after the first carry colorized overlap, and neighbor
+    // references are colorized output too, so only whole segments without
+    // them can be looked up ahead of time
+    let cached = false;
+    if (cfg.cache && !tiled && cfg.referenceMode !== "neighbor") {
+      const references = keyFrame ? [keyFrame] : [];
+      const sent = cfg.descreen ? (await descreen(content.buffer, cfg.descreenSigma)).buffer : content.buffer;
+      const key = await segmentCacheKey(sent, {
+        prompt: splitContext(referencePrompt(scenePrompt(prompt, seg.scenes), references)).rest,
+        quality: cfg.quality,
+        apiSize: calls[0].apiSize,
+        backend: backendCacheId(cfg.backend, cfg),
+        references: references.map((r) => r.buffer),
+      });
+      cached = await hasCachedSegment(cfg.cacheDir, key);
+      if (cached) cachedCalls++;
+    }
+
+    plans.push({ width: seg.width, height: content.height });
+    const scenes = seg.scenes.map((sc) => sc.label).join(", ");
+    const summary = (tiled
+      ? `${calls.length} tiles → ${countSizes(calls.map((c) => c.apiSize))}`
+      : `→ ${calls[0].apiSize}${cached ? " (cached)" : ""}`) + (scenes ? ` — ${scenes}` : "");
+    log(`  Segment ${i + 1}: ${seg.width}x${content.height} ${summary}`);
+    notes.push({
+      startY: seg.startY,
+      height: seg.height,
+      skipped: false,
+      label: `#${i + 1} ${seg.width}x${content.height} ${summary}`,
+      tileTops: tiled ? calls.slice(1).map((c) => content.top + c.top) : [],
+    });
+  }
+
+  log(`\nForecast: ${segments.length} segments, ${plans.length} to colorize, ${segments.length - plans.length} skipped`);
+  log("  Tier     API calls  Est. cost  API sizes");
+  for (const [tier, { maxWidth }] of Object.entries(QUALITY_TIERS)) {
+    const sizes = plans.flatMap((p) => planCalls(p.width, p.height, maxWidth, cfg).map((c) => c.apiSize));
+    const cost = sizes.reduce((sum, size) => sum + callEstimate(pricing, tier, size, cfg.backend), 0);
+    log(
+      `  ${tier.padEnd(7)}  ${String(sizes.length).padStart(9)}  ${`~$${cost.toFixed(2)}`.padStart(9)}  ` +
+        `${countSizes(sizes) || "—"}${tier === cfg.quality ? "   ← current" : ""}`
+    );
+  }
+  if (cfg.cache && cachedCalls > 0) {
+    log(`  ${cachedCalls} call(s) at ${cfg.quality} quality are already cached and would be free`);
+  }
+  if (cfg.captureContext && plans.length > 0) {
+    const capture = plans.length * captureEstimate(pricing, cfg.backend);
+    log(`  Plus up to ${plans.length} context-capture call(s), each sending the colorized segment as image input (~$${capture.toFixed(2)} in total)`);
+  }
+  const { adherenceMin, adherenceRetries, maxBudget } = cfg;
+  if (cfg.adherenceCheck && adherenceMin > 0 && adherenceRetries > 0) {
+    log(`  Segments below ${percent(adherenceMin)} palette adherence are re-requested up to ${adherenceRetries} time(s) — at most ${adherenceRetries + 1}x the above`);
+  }
+  if (maxBudget > 0) {
+    const current = plans.flatMap((p) => planCalls(p.width, p.height, tierOf(cfg).maxWidth, cfg));
+    const total = current.reduce((sum, c) => sum + callEstimate(pricing, cfg.quality, c.apiSize, cfg.backend), 0);
+    log(total > maxBudget
+      ? `  MAX_BUDGET $${maxBudget.toFixed(2)} is below the ~$${total.toFixed(2)} forecast — later segments would be left B&W`
+      : `  MAX_BUDGET $${maxBudget.toFixed(2)} covers the ~$${total.toFixed(2)} forecast`);
+  }
+
+  await ensureDir(path.dirname(out));
+  await fsp.writeFile(out, await renderSplitPreview(stitchedBuf, width, totalH, splitPoints, notes));
+  log(`\nPreview saved to ${out}`);
+}
+
+// ── Segment command ────────────────────────────────────────────────────────
+// Write every segment (and a segments.json index) without calling the API.
+
+export async function segmentCommand(cfg, { out = "./segments" } = {}) {
+  const { segments } = await loadStrip(cfg);
+  await ensureDir(out);
+
+  const index = [];
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    const file = `segment_${pad(i + 1)}.png`;
+    await fsp.writeFile(path.join(out, file), seg.buffer);
+    const blank = await isBlankSegment(seg.buffer, cfg);
+    index.push({
+      segment: i + 1,
+      file,
+      startY: seg.startY,
+      height: seg.height,
+      width: seg.width,
+      gutterTop: seg.gutterTop,
+      gutterBottom: seg.gutterBottom,
+      blank: blank || null,
+      scenes: seg.scenes.map((sc) => ({ scene: sc.label, notes: sc.text })),
+    });
+    log(`  Saved ${file}${blank ? ` (${blank})` : ""}`);
+  }
+
+  await fsp.writeFile(path.join(out, "segments.json"), JSON.stringify(index, null, 2));
+  log(`Done. ${segments.length} segments saved to ${out}`);
+}
+
+// ── Reslice command ────────────────────────────────────────────────────────
+// Re-cut an already colorized strip (e.g. an edited 04_reassembled.png).
+// Slice heights and names come from the input slices when there are
+// any; otherwise the strip is cut at the export height. In panel mode the
+// gutters are detected on the strip itself.
+
+export async function resliceCommand(cfg, stripPath) {
+  if (!stripPath) throw usageError("Usage: node colorizer.js reslice <strip.png>");
+  checkResliceMode(cfg);
+  const output = await loadExportOrThrow(cfg);
+  let meta;
+  try {
+    meta = await sharp(stripPath).metadata();
+  } catch (err) {
+    throw configError(`Cannot read strip ${stripPath}: ${err.message}`);
+  }
+
+  let targets = [];
+  let comicInfo = null;
+  try {
+    ({ slices: targets, comicInfo } = await readSource(cfg.inputDir, { pdfDpi: cfg.pdfDpi }));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw configError(err.message);
+  }
+
+  let heights;
+  if (targets.length > 0) {
+    heights = (await Promise.all(targets.map((t) => sharp(t.file).metadata()))).map((m) => m.height);
+    log(`Using ${heights.length} slice heights from ${cfg.inputDir}`);
+  } else {
+    heights = Array.from({ length: Math.ceil(meta.height / output.height) }, () => output.height);
+    log(`No input slices in ${cfg.inputDir} — cutting every ${output.height}px`);
+  }
+
+  log(`Export: ${describeExport(output)}`);
+  log(`Re-slicing ${meta.width}x${meta.height} ${resliceDescription(output, cfg)}...`);
+  const stripBuf = await sharp(stripPath).png().toBuffer();
+  // Restored blacks keep the gutters of a colorized strip detectable
+  const gutters = cfg.resliceMode === "panel" ? await detectSafeSplitPoints(stripBuf, cfg) : [];
+  const outputSlices = await reslice(stripBuf, meta.width, heights, gutters, { ...cfg, output });
+  // With no input slices to name them after, they are named after the strip
+  if (targets.length === 0) targets = numbered(stripPath, outputSlices, outputSlices.map(() => ".png"));
+  const { saved, overLimit, pages } = await saveSlices(targets, outputSlices, output, cfg);
+  await saveCbz(pages, comicInfo, cfg);
+  log(`Done. ${saved} slices saved to ${cfg.outputDir}` +
+    (overLimit > 0 ? ` (${overLimit} over the ${output.maxKB} KB limit)` : ""));
+}
+
+// ── Palette command ────────────────────────────────────────────────────────
+// node colorizer.js palette list
+// node colorizer.js palette validate [name]   (all palettes if no name)
+// node colorizer.js palette show [name]       (the prompt the palette produces)
+
+export async function paletteCommand(cfg, action = "list", name) {
+  switch (action) {
+    case "list": {
+      for (const n of await listPalettes(PALETTE_DIR)) {
+        const data = await readPalette(PALETTE_DIR, n).catch(() => null);
+        let desc = "(invalid JSON)";
+        if (data) {
+          const entries = (data.characters?.length ?? 0) + (data.objects?.length ?? 0);
+          const format = isLegacyPalette(data) ? "v1" : `v${data.version}`;
+          desc = `${data.name} — ${entries} entries, ${format}${data.extends ? `, extends ${data.extends}` : ""}`;
+        }
+        log(`${n === cfg.palette ? "*" : " "} ${n.padEnd(16)} ${desc}`);
+      }
+      return;
+    }
+    case "validate": {
+      const names = name ? [name] : await listPalettes(PALETTE_DIR);
+      let invalid = 0;
+      for (const n of names) {
+        // The file itself, then its inheritance chain
+        let problems;
+        try {
+          problems = validatePalette(await readPalette(PALETTE_DIR, n));
+          if (problems.length === 0) await resolvePalette(PALETTE_DIR, n);
+        } catch (err) {
+          problems = [err.message];
+        }
+        if (problems.length === 0) {
+          log(`OK       ${n}.json`);
+        } else {
+          invalid++;
+          log(`INVALID  ${n}.json\n  ${problems.join("\n  ")}`);
+        }
+      }
+      if (invalid > 0) throw configError(`${invalid} invalid palette(s)`);
+      return;
+    }
+    case "show": {
+      log((await loadPalette(cfg, name || cfg.palette)).prompt);
+      return;
+    }
+    default:
+      throw usageError("Usage: node colorizer.js palette <list|validate|show> [name]");
+  }
+}
+
+// ── Context command ────────────────────────────────────────────────────────
+// Manage the learned colors of the current arc (--arc, default the palette).
+// Elements are matched the same way captures are, so "shop walls" finds
+// the "shop wall ceiling" entry.
+//
+// node colorizer.js context list
+// node colorizer.js context edit <element> <#RRGGBB> [description]   (pins it)
+// node colorizer.js context pin|unpin|delete <element>
+// node colorizer.js context reset
+
+const CONTEXT_USAGE = "Usage: node colorizer.js context <list|edit <element> <#RRGGBB> [description]|pin|unpin|delete <element>|reset>";
+
+function describeSource(source) {
+  if (!source) return "";
+  if (source.manual) return "edited";
+  if (source.migrated) return "migrated";
+  return `${source.input} seg ${source.segment}`;
+}
+
+export async function contextCommand(cfg, action = "list", element, color, note) {
+  const file = contextPath(cfg);
+  const store = await loadStore(file);
+  const target = () => {
+    if (!element) throw usageError(CONTEXT_USAGE);
+    const entry = findEntry(store, element);
+    if (!entry) throw new Error(`No learned color matches "${element}" in ${file}`);
+    return entry;
+  };
+
+  switch (action) {
+    case "list": {
+      if (store.entries.length === 0) {
+        log(`No learned colors in ${file}`);
+        return;
+      }
+      const used = new Set(promptEntries(store, cfg.contextMaxEntries));
+      for (const e of rankedEntries(store)) {
+        const flag = e.pinned ? "pinned" : isFlagged(e) ? "CONFLICT" : used.has(e) ? "" : "unused";
+        log(
+          `${(e.color || "-").padEnd(7)}  ${flag.padEnd(8)}  seen ${String(e.seen).padStart(2)}  ` +
+            `${Math.round(e.confidence * 100).toString().padStart(3)}%  ${e.element}: ${e.note}  [${describeSource(e.source)}]`
+        );
+        for (const a of e.alternatives) {
+          log(`           or ${a.color || "-"} seen ${a.seen}: ${a.note}  [${describeSource(a.source)}]`);
+        }
+      }
+      const flagged = store.entries.filter(isFlagged).length;
+      log(`${store.entries.length} entries in ${file}, ${used.size} used in prompts (CONTEXT_MAX_ENTRIES ${cfg.contextMaxEntries}), ${flagged} flagged`);
+      if (flagged > 0) log("Resolve a conflict with `context edit <element> <#RRGGBB>` or `context pin <element>`.");
+      return;
+    }
+    case "edit": {
+      if (!element || !/^#[0-9A-Fa-f]{6}$/.test(color || "")) throw usageError(CONTEXT_USAGE);
+      const entry = editEntry(store, element, color.toUpperCase(), note);
+      await saveStore(file, store);
+      log(`Pinned ${entry.element}: ${entry.note}`);
+      return;
+    }
+    case "pin":
+    case "unpin": {
+      const entry = target();
+      setPinned(entry, action === "pin");
+      await saveStore(file, store);
+      log(`${action === "pin" ? "Pinned" : "Unpinned"} ${entry.element}: ${entry.note}`);
+      return;
+    }
+    case "delete": {
+      const entry = target();
+      deleteEntry(store, entry);
+      await saveStore(file, store);
+      log(`Deleted ${entry.element}`);
+      return;
+    }
+    case "reset": {
+      await fsp.rm(file, { force: true });
+      log(`Removed ${file} (${store.entries.length} entries)`);
+      return;
+    }
+    default:
+      throw usageError(CONTEXT_USAGE);
+  }
+}
+
+// ── Ledger command ─────────────────────────────────────────────────────────
+// node colorizer.js ledger [count]   — the last N runs (default 20) and totals
+
+export async function ledgerCommand(cfg, count = "20") {
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1) throw usageError(`Invalid run count: ${count}`);
+  const runs = await readLedger(cfg.ledgerFile);
+  if (runs.length === 0) {
+    log(`No runs recorded in ${cfg.ledgerFile}`);
+    return;
+  }
+
+  for (const r of runs.slice(-n)) {
+    const date = r.startedAt.slice(0, 16).replace("T", " ");
+    const notes = [
+      r.failed.length > 0 ? `${r.failed.length} failed` : "",
+      r.overBudget.length > 0 ? `${r.overBudget.length} over budget` : "",
+    ].filter(Boolean).join(", ");
+    log(
+      `${date}  $${r.totalCost.toFixed(2).padStart(6)}  ${String(r.apiCalls).padStart(3)} calls  ` +
+        `${r.backend}/${r.quality}  ${r.palette}  ${path.basename(r.inputDir)}${notes ? `  (${notes})` : ""}`
+    );
+  }
+
+  const total = runs.reduce((sum, r) => sum + r.totalCost, 0);
+  const calls = runs.reduce((sum, r) => sum + r.apiCalls, 0);
+  log(`\n${runs.length} run(s), ${calls} API calls, $${total.toFixed(2)} total (${cfg.ledgerFile})`);
+}
+
+// ── Cache command ──────────────────────────────────────────────────────────
+// node colorizer.js cache list
+// node colorizer.js cache clear
+// node colorizer.js cache invalidate <segment number | key prefix>
+// node colorizer.js cache prune [maxAgeDays]
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export async function cacheCommand(cfg, action, arg) {
+  switch (action) {
+    case "list": {
+      const entries = await listCacheEntries(cfg.cacheDir);
+      for (const e of entries) {
+        log(
+          `${e.key.slice(0, 12)}  seg ${String(e.segment ?? "?").padStart(3)}  ${e.size || "?"} → ${e.apiSize || "?"}  ` +
+            `${e.quality || "?"}  ${formatBytes(e.bytes).padStart(8)}  last used ${e.lastUsedAt}  ${e.inputDir || ""}`
+        );
+      }
+      const total = entries.reduce((sum, e) => sum + e.bytes, 0);
+      const saved = entries.reduce((sum, e) => sum + (e.cost || 0), 0);
+      log(`${entries.length} entries, ${formatBytes(total)} in ${cfg.cacheDir} (~$${saved.toFixed(2)} of API calls)`);
+      return;
+    }
+    case "clear": {
+      const removed = await invalidateCache(cfg.cacheDir, { all: true });
+      log(`Removed ${removed} cache entries`);
+      return;
+    }
+    case "invalidate": {
+      if (!arg) throw usageError("Usage: node colorizer.js cache invalidate <segment number | key prefix>");
+      // Segment numbers refer to the last run over the current input
+      const filter = /^\d+$/.test(arg)
+        ? { segment: Number(arg), inputDir: path.resolve(cfg.inputDir) }
+        : { key: arg };
+      const removed = await invalidateCache(cfg.cacheDir, filter);
+      log(`Removed ${removed} cache entries matching ${arg}`);
+      return;
+    }
+    case "prune": {
+      const maxAgeDays = arg !== undefined ? Number(arg) : cfg.cacheMaxAgeDays;
+      if (isNaN(maxAgeDays)) throw usageError(`Invalid max age: ${arg}`);
+      const { removed, freed, remaining, bytes } = await pruneCache(cfg.cacheDir, {
+        maxAgeDays,
+        maxBytes: cfg.cacheMaxMb * 1024 * 1024,
+      });
+      log(`Pruned ${removed} entries (${formatBytes(freed)}); ${remaining} left (${formatBytes(bytes)})`);
+      return;
+    }
+    default:
+      throw usageError("Usage: node colorizer.js cache <list|clear|invalidate|prune>");
+  }
+}
@@ -0,0 +1,125 @@
+import fsp from "node:fs/promises";
+
+// ── Scene notes ────────────────────────────────────────────────────────────
+// A sidecar file next to the input slices (scenes.json) that gives ranges
+// of slices their own lighting or mood:
+//
+//   {
+//     "presets": { "neon": "Night street lit by pink and cyan neon signs" },
+//     "scenes": [
+//       { "slices": "12-18", "preset": "night", "notes": "Rooftop, full moon" },
+//       { "slices": 25, "preset": "flashback" },
+//       { "slices": "30-31", "notes": "Inside a dim storage room" }
+//     ]
+//   }
+//
+// Slice numbers are the numbers in the input file names (..._012.png is
+// slice 12). A scene needs a preset, notes, or both; "presets" adds to or
+// overrides the built-in ones. Once the strip is split, each segment gets
+// every scene that covers at least MIN_COVERAGE of its rows.
+
+export const SCENE_PRESETS = {
+  night: "Night: dark blue-black sky, cool blue ambient light, warm light only from visible sources (lamps, windows, screens), lower overall brightness.",
+  rain: "Rain: overcast gray-blue light, wet glossy surfaces with reflections, muted saturation.",
+  sunset: "Sunset: warm orange-pink sky, warm low light on faces and surfaces, cool purple shadows.",
+  flashback: "Flashback: desaturated, warm sepia tone over the whole panel, soft contrast.",
+  dream: "Dream: soft pastel colors, hazy glowing light, low contrast.",
+};
+
+const MIN_COVERAGE = 0.3;
+const SCENE_KEYS = ["slices", "preset", "notes"];
+
+function parseRange(value) {
+  if (Number.isInteger(value)) return [value, value];
+  const m = typeof value === "string" && value.trim().match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+  if (!m) return null;
+  const from = Number(m[1]);
+  const to = m[2] !== undefined ? Number(m[2]) : from;
+  return from <= to ? [from, to] : null;
+}
+
+// Read and validate a scenes file. Resolves to null when there is none,
+// otherwise to [{ from, to, label, text }].
+export async function loadScenes(file) {
+  let data;
+  try {
+    data = JSON.parse(await fsp.readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Scenes file ${file} is not valid JSON: ${err.message}`);
+  }
+
+  const problems = [];
+  const presets = { ...SCENE_PRESETS };
+  for (const [name, text] of Object.entries(data.presets || {})) {
+    if (typeof text !== "string" || text.trim() === "") problems.push(`presets.${name} must be a non-empty string`);
+    else presets[name] = text.trim();
+  }
+  if (!Array.isArray(data.scenes)) problems.push(`"scenes" must be an array`);
+
+  const scenes = (Array.isArray(data.scenes) ? data.scenes : []).map((s, i) => {
+    const where = `scenes[${i}]`;
+    if (typeof s !== "object" || s === null) {
+      problems.push(`${where} must be an object`);
+      return null;
+    }
+    for (const key of Object.keys(s)) {
+      if (!SCENE_KEYS.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+    }
+    const range = parseRange(s.slices);
+    if (!range) problems.push(`${where}: "slices" must be a slice number or a range like "12-18"`);
+    if (s.preset !== undefined && !presets[s.preset]) {
+      problems.push(`${where}: unknown preset "${s.preset}" (available: ${Object.keys(presets).join(", ")})`);
+    }
+    if (s.notes !== undefined && (typeof s.notes !== "string" || s.notes.trim() === "")) {
+      problems.push(`${where}: "notes" must be a non-empty string`);
+    }
+    if (s.preset === undefined && s.notes === undefined) problems.push(`${where}: needs a "preset", "notes" or both`);
+    if (!range) return null;
+
+    const text = [presets[s.preset], s.notes?.trim()].filter(Boolean).join(" ");
+    const label = `${range[0] === range[1] ? `slice ${range[0]}` : `slices ${range[0]}-${range[1]}`}${s.preset ? ` (${s.preset})` : ""}`;
+    return { from: range[0], to: range[1], label, text };
+  });
+
+  if (problems.length > 0) throw new Error(`Scenes file ${file} is invalid:\n  ${problems.join("\n  ")}`);
+  return scenes;
+}
+
+// Place scenes on the stitched strip: slice numbers → rows. targets are the
+// sorted input slices ({ idx }), heights their heights in the strip.
+export function placeScenes(scenes, targets, heights) {
+  const tops = [];
+  let y = 0;
+  for (const h of heights) {
+    tops.push(y);
+    y += h;
+  }
+
+  return scenes.map((scene) => {
+    const covered = targets
+      .map((t, k) => ({ idx: t.idx, top: tops[k], bottom: tops[k] + heights[k] }))
+      .filter((s) => s.idx >= scene.from && s.idx <= scene.to);
+    if (covered.length === 0) {
+      throw new Error(`Scene ${scene.label} matches no input slice (slices are numbered ${targets[0].idx}-${targets[targets.length - 1].idx})`);
+    }
+    return { ...scene, top: Math.min(...covered.map((s) => s.top)), bottom: Math.max(...covered.map((s) => s.bottom)) };
+  });
+}
+
+// The placed scenes covering at least MIN_COVERAGE of a segment's rows
+export function scenesForSegment(placed, startY, height) {
+  return placed.filter((scene) => {
+    const overlap = Math.min(startY + height, scene.bottom) - Math.max(startY, scene.top);
+    return overlap / height >= MIN_COVERAGE;
+  });
+}
+
+export function scenePrompt(prompt, scenes = []) {
+  if (scenes.length === 0) return prompt;
+  return `${prompt}
+
+SCENE NOTES (this panel):
+${scenes.map((s) => `- ${s.text}`).join("\n")}
+These change the lighting and mood only — characters and objects keep their palette colors, seen under this light.`;
+}
@@ -0,0 +1,93 @@
+import { log } from "./log.js";
+
+// ── Worker pool ────────────────────────────────────────────────────────────
+// Runs worker(i) for i in [0, count) with at most `concurrency` in flight.
+// Results are stored by index, so the output order never depends on which
+// call finishes first.
+
+export async function runPool(count, concurrency, worker) {
+  const results = new Array(count);
+  let next = 0;
+
+  async function drain() {
+    while (next < count) {
+      const i = next++;
+      results[i] = await worker(i);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, count));
+  await Promise.all(Array.from({ length: workers }, drain));
+  return results;
+}
+
+// ── Shared rate limiter ────────────────────────────────────────────────────
+// One instance is shared by every worker. Each API attempt takes a slot with
+// acquire() and gives it back with release(). When any worker hits a rate
+// limit, backoff() pauses ALL workers until the retry-after window passes
+// and halves the number of slots (multiplicative decrease); sustained
+// successes add slots back one at a time (additive increase), up to the
+// configured maximum.
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createRateLimiter(maxConcurrency) {
+  const max = Math.max(1, maxConcurrency);
+  let limit = max;
+  let active = 0;
+  let pausedUntil = 0;
+  let successes = 0;
+  let waiters = [];
+
+  function wakeAll() {
+    const ready = waiters;
+    waiters = [];
+    for (const resolve of ready) resolve();
+  }
+
+  return {
+    get limit() {
+      return limit;
+    },
+
+    async acquire() {
+      for (;;) {
+        const pause = pausedUntil - Date.now();
+        if (pause > 0) {
+          await sleep(pause);
+          continue;
+        }
+        if (active < limit) {
+          active++;
+          return;
+        }
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+    },
+
+    release(ok) {
+      active--;
+      if (ok) {
+        successes++;
+        if (limit < max && successes >= limit * 2) {
+          limit++;
+          successes = 0;
+          log(`    Rate limiter: concurrency back up to ${limit}`);
+        }
+      }
+      wakeAll();
+    },
+
+    backoff(delayMs) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+      successes = 0;
+      const reduced = Math.max(1, Math.floor(limit / 2));
+      if (reduced < limit) {
+        limit = reduced;
+        log(`    Rate limiter: pausing all workers ${(delayMs / 1000).toFixed(1)}s, concurrency down to ${limit}`);
+      } else {
+        log(`    Rate limiter: pausing all workers ${(delayMs / 1000).toFixed(1)}s`);
+      }
+    },
+  };
+}
@@ -0,0 +1,150 @@
+import sharp from "sharp";
+
+// ── Screentone ─────────────────────────────────────────────────────────────
+// Halftone dots and stipple are drawn as fine black-on-white texture. Sent
+// as-is, the model tends to turn them into moiré or muddy noise, and
+// restoreBlacks can't help because no single dot is a solid black area.
+//
+// Detection works on BLOCK x BLOCK cells of the grayscale image. Each pixel
+// is compared to a blurred copy (the local average tone); in a screentone
+// cell the pixels keep flipping between darker and lighter than that
+// average, with real contrast between neighbours. Line art flips only where
+// a line crosses, flat areas never. A cell counts as screentone when
+// enough neighbour pairs flip, its average is neither paper white nor solid
+// black, and at least two of the surrounding cells agree — so a lone cell
+// of dense hatching or lettering is left alone.
+//
+// Descreening blends the blurred copy over the detected cells through a
+// feathered mask. Line art inside toned areas is kept: a pixel that is dark
+// and stays dark under a light blur belongs to a stroke, while an isolated
+// dot washes out. Re-toning multiplies the tone's texture (original ÷
+// descreened) back over the colorized result, inside the same mask.
+
+const BLOCK = 16;
+const FLIP_CONTRAST = 40;       // min gray difference between flipping neighbours
+const MIN_FLIP_DENSITY = 0.15;  // flips per neighbour pair in a screentone cell
+const MIN_TONE = 24;            // average gray range of a toned cell
+const MAX_TONE = 232;
+const MIN_NEIGHBOURS = 2;       // toned cells among the 8 around a cell
+const LINE_DARK = 80;           // max gray of a line-art pixel, before and after LINE_SIGMA
+const LINE_SIGMA = 1.2;
+
+async function gray(buf, sigma) {
+  let img = sharp(buf).removeAlpha().greyscale();
+  if (sigma) img = img.blur(sigma);
+  return img.raw().toBuffer({ resolveWithObject: true });
+}
+
+function toneCells(g, s, w, h) {
+  const cols = Math.ceil(w / BLOCK);
+  const rows = Math.ceil(h / BLOCK);
+  const raw = new Uint8Array(cols * rows);
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const x0 = cx * BLOCK, x1 = Math.min(w, x0 + BLOCK);
+      const y0 = cy * BLOCK, y1 = Math.min(h, y0 + BLOCK);
+      let flips = 0, pairs = 0, sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const p = y * w + x;
+          sum += s[p];
+          const above = g[p] > s[p];
+          if (x + 1 < x1) {
+            pairs++;
+            if (above !== g[p + 1] > s[p + 1] && Math.abs(g[p] - g[p + 1]) >= FLIP_CONTRAST) flips++;
+          }
+          if (y + 1 < y1) {
+            pairs++;
+            if (above !== g[p + w] > s[p + w] && Math.abs(g[p] - g[p + w]) >= FLIP_CONTRAST) flips++;
+          }
+        }
+      }
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      raw[cy * cols + cx] = pairs > 0 && flips / pairs >= MIN_FLIP_DENSITY && mean >= MIN_TONE && mean <= MAX_TONE ? 1 : 0;
+    }
+  }
+
+  const cells = new Uint8Array(cols * rows);
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      if (!raw[cy * cols + cx]) continue;
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const x = cx + dx, y = cy + dy;
+          if ((dx || dy) && x >= 0 && y >= 0 && x < cols && y < rows) n += raw[y * cols + x];
+        }
+      }
+      if (n >= MIN_NEIGHBOURS) cells[cy * cols + cx] = 1;
+    }
+  }
+  return { cells, cols, rows };
+}
+
+// Cell map → per-pixel weights 0..255 with a soft edge about a cell wide
+async function featherMask(cells, cols, rows, w, h) {
+  const img = Buffer.from(cells.map((c) => c * 255));
+  return sharp(img, { raw: { width: cols, height: rows, channels: 1 } })
+    .resize(cols * BLOCK, rows * BLOCK, { kernel: "nearest" })
+    .extract({ left: 0, top: 0, width: w, height: h })
+    .blur(BLOCK / 2)
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+// Resolves to { buffer, mask, coverage }: the descreened image (PNG), the
+// screentone mask (grayscale PNG, white = toned) and the toned share of the
+// image. With no screentone found, buffer is the input and mask is null.
+// sigma is the blur radius that dissolves the dots.
+export async function descreen(buf, sigma) {
+  const { data: g, info } = await gray(buf);
+  const { data: s } = await gray(buf, sigma);
+  const { width: w, height: h } = info;
+
+  const { cells, cols, rows } = toneCells(g, s, w, h);
+  const toned = cells.reduce((n, c) => n + c, 0);
+  if (toned === 0) return { buffer: buf, mask: null, coverage: 0 };
+
+  const weights = await featherMask(cells, cols, rows, w, h);
+  const { data: lines } = await gray(buf, LINE_SIGMA);
+  const { data: src, info: srcInfo } = await sharp(buf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { data: smooth } = await sharp(buf).ensureAlpha().blur(sigma).raw().toBuffer({ resolveWithObject: true });
+  const ch = srcInfo.channels;
+  const out = Buffer.from(src);
+  for (let i = 0; i < w * h; i++) {
+    const m = weights[i] / 255;
+    if (m === 0 || (g[i] < LINE_DARK && lines[i] < LINE_DARK)) continue;
+    const p = i * ch;
+    for (let c = 0; c < 3; c++) out[p + c] = Math.round(src[p + c] + (smooth[p + c] - src[p + c]) * m);
+  }
+
+  return {
+    buffer: await sharp(out, { raw: { width: w, height: h, channels: ch } }).png().toBuffer(),
+    mask: await sharp(weights, { raw: { width: w, height: h, channels: 1 } }).png().toBuffer(),
+    coverage: toned / (cols * rows),
+  };
+}
+
+// Lay the original tone texture back over a colorized image: inside the
+// mask each pixel is scaled by original ÷ descreened lightness, blended in
+// by strength (0 = keep the smooth color, 1 = the full texture). All three
+// images must be the same size.
+export async function retone(colorBuf, originalBuf, descreenedBuf, maskBuf, strength) {
+  const { data: col, info } = await sharp(colorBuf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { data: orig } = await gray(originalBuf);
+  const { data: smooth } = await gray(descreenedBuf);
+  const { data: mask } = await sharp(maskBuf).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { width: w, height: h, channels: ch } = info;
+
+  const out = Buffer.from(col);
+  for (let i = 0; i < w * h; i++) {
+    const m = (mask[i] / 255) * strength;
+    if (m === 0) continue;
+    // +8 keeps near-black areas from amplifying noise
+    const factor = 1 + ((orig[i] + 8) / (smooth[i] + 8) - 1) * m;
+    const p = i * ch;
+    for (let c = 0; c < 3; c++) out[p + c] = Math.max(0, Math.min(255, Math.round(col[p + c] * factor)));
+  }
+  return sharp(out, { raw: { width: w, height: h, channels: ch } }).png().toBuffer();
+}
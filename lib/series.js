@@ -0,0 +1,172 @@
+import { spawn } from "node:child_process";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { EXIT, configError, usageError } from "./config.js";
+
+// ── Series manifest ────────────────────────────────────────────────────────
+// A JSON file listing the chapters of a series, processed in order:
+//
+//   {
+//     "name": "Damashi Game",
+//     "defaults": { "palette": "intro", "outputWidth": 800, "outputHeight": 1280 },
+//     "chapters": [
+//       { "name": "ch01", "input": "chapters/ch01", "palette": "intro" },
+//       { "name": "ch03", "input": "chapters/ch03", "palette": "games",
+//         "output": "colored/ch03", "notes": "Night scenes — lit by neon signs" }
+//     ]
+//   }
+//
+// Paths are relative to the manifest; input may be a directory, a CBZ/ZIP
+// archive or a PDF. Per chapter: name and input are required; output
+// defaults to output/<name>; palette, arc, exportPreset, outputWidth,
+// outputHeight and notes fall back to "defaults" and then to .env / flags.
+// The arc (default: ARC / --arc, then the palette) decides which learned
+// context a chapter reads and extends, so context carries forward through
+// an arc.
+
+const CLI_PATH = fileURLToPath(new URL("../colorizer.js", import.meta.url));
+
+const CHAPTER_FIELDS = ["name", "input", "output", "palette", "arc", "exportPreset", "outputWidth", "outputHeight", "notes"];
+
+async function readManifest(file) {
+  let data;
+  try {
+    data = JSON.parse(await fsp.readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") throw configError(`Manifest not found: ${file}`);
+    throw configError(`Manifest ${file} is not valid JSON: ${err.message}`);
+  }
+
+  const problems = [];
+  if (!Array.isArray(data.chapters) || data.chapters.length === 0) {
+    problems.push(`"chapters" must be a non-empty array`);
+  }
+  const defaults = data.defaults || {};
+  const names = new Set();
+  const chapters = (data.chapters || []).map((c, i) => {
+    const where = `chapters[${i}]${c?.name ? ` (${c.name})` : ""}`;
+    if (typeof c !== "object" || c === null) {
+      problems.push(`${where} must be an object`);
+      return null;
+    }
+    for (const key of Object.keys(c)) {
+      if (!CHAPTER_FIELDS.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+    }
+    if (typeof c.name !== "string" || c.name === "") problems.push(`${where}: "name" is required`);
+    else if (names.has(c.name)) problems.push(`${where}: duplicate name`);
+    names.add(c.name);
+    if (typeof c.input !== "string" || c.input === "") problems.push(`${where}: "input" is required`);
+
+    const chapter = { ...defaults, ...c };
+    for (const key of ["outputWidth", "outputHeight"]) {
+      if (chapter[key] != null && !(Number.isInteger(chapter[key]) && chapter[key] > 0)) {
+        problems.push(`${where}: "${key}" must be a positive whole number`);
+      }
+    }
+    return chapter;
+  });
+  if (problems.length > 0) {
+    throw configError(`Manifest ${file} is invalid:\n  ${problems.join("\n  ")}`);
+  }
+
+  const base = path.dirname(path.resolve(file));
+  return {
+    name: data.name || path.basename(file, ".json"),
+    chapters: chapters.map((c) => ({
+      ...c,
+      input: path.resolve(base, c.input),
+      output: path.resolve(base, c.output || path.join("output", c.name)),
+    })),
+  };
+}
+
+// Environment for one chapter's run. Anything the manifest doesn't set is
+// inherited, so flags given to the series command apply to every chapter.
+function chapterEnv(chapter, summaryFile, seriesName) {
+  const env = {
+    ...process.env,
+    INPUT_DIR: chapter.input,
+    OUTPUT_DIR: chapter.output,
+    SUMMARY_FILE: summaryFile,
+    COMIC_SERIES: process.env.COMIC_SERIES || seriesName,
+  };
+  if (chapter.palette) env.PALETTE = chapter.palette;
+  const arc = chapter.arc || process.env.ARC || chapter.palette;
+  if (arc) env.ARC = arc;
+  if (chapter.exportPreset) env.EXPORT_PRESET = chapter.exportPreset;
+  if (chapter.outputWidth) env.OUTPUT_WIDTH = String(chapter.outputWidth);
+  if (chapter.outputHeight) env.OUTPUT_HEIGHT = String(chapter.outputHeight);
+  if (chapter.notes) env.PROMPT_NOTES = chapter.notes;
+  return env;
+}
+
+// Each chapter runs as its own `colorize` process: configuration is read
+// once at startup, and a crash in one chapter can't take the series down.
+function runChapter(chapter, summaryFile, seriesName) {
+  const args = [CLI_PATH, "colorize"];
+  if (process.env.DRY_RUN === "true") args.push("--out", path.join(chapter.output, "dry-run.png"));
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { env: chapterEnv(chapter, summaryFile, seriesName), stdio: "inherit" });
+    child.on("error", reject);
+    child.on("exit", (code, signal) => resolve(signal ? EXIT.ERROR : code));
+  });
+}
+
+async function readSummary(file) {
+  try {
+    return JSON.parse(await fsp.readFile(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// node colorizer.js series <manifest.json> [--chapter name]
+export async function seriesCommand(manifestPath, { chapter: only } = {}) {
+  if (!manifestPath) throw usageError("Usage: node colorizer.js series <manifest.json> [--chapter name]");
+  const series = await readManifest(manifestPath);
+
+  let chapters = series.chapters;
+  if (only) {
+    chapters = chapters.filter((c) => c.name === only);
+    if (chapters.length === 0) {
+      throw configError(`No chapter "${only}" in ${manifestPath}. Chapters: ${series.chapters.map((c) => c.name).join(", ")}`);
+    }
+  }
+
+  console.log(`Series: ${series.name} — ${chapters.length} of ${series.chapters.length} chapter(s)`);
+  const results = [];
+  for (let i = 0; i < chapters.length; i++) {
+    const c = chapters[i];
+    console.log(`\n━━ Chapter ${c.name} (${i + 1}/${chapters.length}) ━━`);
+    const summaryFile = path.join(c.output, "summary.json");
+    // A stale summary must not be mistaken for this run's
+    await fsp.rm(summaryFile, { force: true });
+    const code = await runChapter(c, summaryFile, series.name);
+    results.push({ chapter: c, code, summary: await readSummary(summaryFile) });
+  }
+
+  console.log(`\nSeries summary: ${series.name}`);
+  console.log("  Chapter          Status    Segments  Calls  Cached  B&W   Cost");
+  let total = 0;
+  for (const { chapter, code, summary } of results) {
+    const status = code === EXIT.OK ? "ok" : code === EXIT.PARTIAL ? "partial" : `error ${code}`;
+    if (!summary) {
+      console.log(`  ${chapter.name.padEnd(15)}  ${status}`);
+      continue;
+    }
+    total += summary.cost;
+    const bw = summary.failed.length + summary.overBudget.length;
+    console.log(
+      `  ${chapter.name.padEnd(15)}  ${status.padEnd(8)}  ${String(summary.segments).padStart(8)}  ` +
+        `${String(summary.apiCalls).padStart(5)}  ${String(summary.cacheHits).padStart(6)}  ` +
+        `${String(bw).padStart(3)}  $${summary.cost.toFixed(2)}`
+    );
+  }
+  console.log(`  Total cost: $${total.toFixed(2)}`);
+
+  const codes = results.map((r) => r.code);
+  if (codes.some((c) => c !== EXIT.OK && c !== EXIT.PARTIAL)) return { exitCode: EXIT.ERROR };
+  if (codes.includes(EXIT.PARTIAL)) return { exitCode: EXIT.PARTIAL };
+  return { exitCode: EXIT.OK };
+}
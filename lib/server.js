@@ -0,0 +1,349 @@
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import readline from "node:readline";
+import { fileURLToPath } from "node:url";
+import { writeAtomic } from "./cache.js";
+import { EXIT, configError, resolveConfig } from "./config.js";
+import { readSource } from "./sources.js";
+import { writeZip } from "./zip.js";
+
+// ── Job server ─────────────────────────────────────────────────────────────
+// node colorizer.js serve — the pipeline behind a small local HTTP API, for
+// tools that submit chapters without a shell:
+//
+//   POST /jobs?palette=intro&quality=low&name=ch04   body: a ZIP/CBZ of slices
+//   GET  /jobs                     every job, newest first
+//   GET  /jobs/<id>                one job: status, options, summary
+//   GET  /jobs/<id>/events         progress as server-sent events: log
+//                                  lines, the run's progress events (split,
+//                                  segment, cost, saved — see colorizeChapter)
+//                                  and status changes
+//   GET  /jobs/<id>/output         names of the output slices
+//   GET  /jobs/<id>/output/<name>  one output slice
+//   GET  /jobs/<id>/output.zip     every output slice in one archive
+//
+// Each job lives in JOBS_DIR/<id>/: job.json (its state), the uploaded
+// archive, log.txt (everything the run printed), progress.jsonl (its
+// progress events, read from the child's fd 3 — see PROGRESS_FD in
+// colorizer.js), summary.json and output/.
+// Jobs run as `colorize` child processes, like series chapters, at most
+// JOB_CONCURRENCY at a time and in submission order. Jobs of the same arc
+// run one after the other: each run loads the arc's learned context at the
+// start and saves it at the end, so two at once would lose one run's
+// colors. Because the state is
+// on disk, a restarted server picks the queue up again; a job that was
+// running when it stopped is run again from the start (its finished
+// segments come from the cache).
+//
+// There is no authentication: the server listens on localhost unless
+// SERVER_HOST says otherwise.
+
+const SERVER_HOST = process.env.SERVER_HOST || "127.0.0.1";
+const SERVER_PORT = Number(process.env.SERVER_PORT) || 8787;
+const JOBS_DIR = process.env.JOBS_DIR || "./jobs";
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+// Uploads are held in memory while they are checked
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 512;
+
+const CLI_PATH = fileURLToPath(new URL("../colorizer.js", import.meta.url));
+const QUALITIES = ["low", "medium", "high"];
+const SAFE_NAME = /^[\w][\w.-]*$/;
+const CONTENT_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp", ".avif": "image/avif" };
+
+// ── Job store ──────────────────────────────────────────────────────────────
+
+const jobs = new Map();         // id → job state, as saved in job.json
+const subscribers = new Map();  // id → Set of open event-stream responses
+const children = new Set();     // colorize processes of running jobs
+const busyArcs = new Set();     // arcs (context stores) of running jobs
+let running = 0;
+let stopping = false;
+
+const jobDir = (id) => path.join(JOBS_DIR, id);
+
+async function saveJob(job) {
+  await writeAtomic(path.join(jobDir(job.id), "job.json"), JSON.stringify(job, null, 2) + "\n");
+}
+
+async function loadJobs() {
+  await fsp.mkdir(JOBS_DIR, { recursive: true });
+  for (const id of await fsp.readdir(JOBS_DIR)) {
+    let job;
+    try {
+      job = JSON.parse(await fsp.readFile(path.join(jobDir(id), "job.json"), "utf-8"));
+    } catch {
+      continue;  // not a job, or one whose upload never finished
+    }
+    if (job.status === "running") {
+      job.status = "queued";
+      await saveJob(job);
+    }
+    jobs.set(job.id, job);
+  }
+}
+
+// What clients see of a job
+function publicJob(job) {
+  return { ...job, links: { events: `/jobs/${job.id}/events`, output: `/jobs/${job.id}/output`, zip: `/jobs/${job.id}/output.zip` } };
+}
+
+function publish(id, event, data) {
+  for (const res of subscribers.get(id) || []) {
+    res.write(`event: ${event}\ndata: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+  }
+}
+
+async function setStatus(job, changes) {
+  Object.assign(job, changes);
+  await saveJob(job);
+  publish(job.id, "status", publicJob(job));
+  if (!["queued", "running"].includes(job.status)) {
+    for (const res of subscribers.get(job.id) || []) res.end();
+    subscribers.delete(job.id);
+  }
+}
+
+// ── Queue ──────────────────────────────────────────────────────────────────
+
+// The arc a job learns context for: ARC from the server's settings, else
+// the job's palette, as the child resolves it
+const arcOf = (job) => resolveConfig({ palette: job.palette }, process.env).arc;
+
+function startQueued() {
+  if (stopping) return;
+  const queued = [...jobs.values()]
+    .filter((j) => j.status === "queued")
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of queued) {
+    if (running >= JOB_CONCURRENCY) break;
+    const arc = arcOf(job);
+    if (busyArcs.has(arc)) continue;
+    running++;
+    busyArcs.add(arc);
+    runJob(job)
+      .catch((err) => setStatus(job, { status: "error", error: err.message, finishedAt: new Date().toISOString() }))
+      .finally(() => {
+        running--;
+        busyArcs.delete(arc);
+        startQueued();
+      });
+  }
+}
+
+async function runJob(job) {
+  const dir = jobDir(job.id);
+  const summaryFile = path.join(dir, "summary.json");
+  await fsp.rm(summaryFile, { force: true });
+  await fsp.rm(path.join(dir, "output"), { recursive: true, force: true });
+  await setStatus(job, { status: "running", startedAt: new Date().toISOString() });
+  console.log(`  Job ${job.id} (${job.name}) started`);
+
+  const env = {
+    ...process.env,
+    INPUT_DIR: path.join(dir, job.input),
+    OUTPUT_DIR: path.join(dir, "output"),
+    SUMMARY_FILE: summaryFile,
+    PROGRESS_FD: "3",
+  };
+  if (job.palette) env.PALETTE = job.palette;
+  if (job.quality) env.QUALITY = job.quality;
+
+  const log = fs.createWriteStream(path.join(dir, "log.txt"));
+  const progress = fs.createWriteStream(path.join(dir, "progress.jsonl"));
+  const code = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI_PATH, "colorize"], { env, stdio: ["ignore", "pipe", "pipe", "pipe"] });
+    children.add(child);
+    for (const stream of [child.stdout, child.stderr]) {
+      readline.createInterface({ input: stream }).on("line", (line) => {
+        log.write(line + "\n");
+        publish(job.id, "log", line);
+      });
+    }
+    readline.createInterface({ input: child.stdio[3] }).on("line", (line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        return;
+      }
+      progress.write(line + "\n");
+      publish(job.id, event.type, event);
+    });
+    child.on("error", reject);
+    child.on("close", (code, signal) => {
+      children.delete(child);
+      resolve(signal ? EXIT.ERROR : code);
+    });
+  });
+  await Promise.all([log, progress].map((stream) => new Promise((resolve) => stream.end(resolve))));
+  // Stopped by the server shutting down: left "running", so it starts over
+  if (stopping) return;
+
+  const summary = await fsp.readFile(summaryFile, "utf-8").then(JSON.parse, () => null);
+  const status = code === EXIT.OK ? "done" : code === EXIT.PARTIAL ? "partial" : "error";
+  const error = status === "error" ? await lastError(dir) : undefined;
+  await setStatus(job, { status, exitCode: code, error, summary, finishedAt: new Date().toISOString() });
+  console.log(`  Job ${job.id} (${job.name}) ${status}${error ? `: ${error}` : ""}`);
+}
+
+// The "Error: ..." line a failed run printed last
+async function lastError(dir) {
+  const log = await fsp.readFile(path.join(dir, "log.txt"), "utf-8").catch(() => "");
+  const line = log.split("\n").reverse().find((l) => l.startsWith("Error:"));
+  return line ? line.slice("Error:".length).trim() : "colorize failed";
+}
+
+// ── HTTP ───────────────────────────────────────────────────────────────────
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body, null, 2) + "\n");
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// An upload over the limit is rejected as soon as it passes it. The rest is
+// read and dropped, not cut off, so the client gets the 413 instead of a
+// reset connection; the connection is closed once the response is sent.
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size <= limit) return chunks.push(chunk);
+      req.off("data", onData);
+      req.resume();
+      reject(Object.assign(httpError(413, `Upload is over the ${MAX_UPLOAD_MB} MB limit`), { close: true }));
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function createJob(req, query) {
+  const name = query.get("name") || "chapter";
+  const palette = query.get("palette") || undefined;
+  const quality = query.get("quality")?.toLowerCase() || undefined;
+  if (!SAFE_NAME.test(name)) throw httpError(400, `Invalid name "${name}"`);
+  if (palette && !SAFE_NAME.test(palette)) throw httpError(400, `Invalid palette "${palette}"`);
+  if (quality && !QUALITIES.includes(quality)) throw httpError(400, `quality must be one of ${QUALITIES.join(", ")}`);
+
+  const body = await readBody(req, MAX_UPLOAD_MB * 1024 * 1024);
+  const id = crypto.randomUUID();
+  const input = `${name}.cbz`;
+  await fsp.mkdir(jobDir(id), { recursive: true });
+  await fsp.writeFile(path.join(jobDir(id), input), body);
+
+  const file = path.join(jobDir(id), input);
+  const { slices, problem } = await readSource(file).then(
+    ({ slices }) => ({ slices, problem: slices.length === 0 ? "The archive holds no .png, .jpg or .webp slices" : null }),
+    (err) => ({ slices: [], problem: err.message.replace(file, "upload") })
+  );
+  if (problem) {
+    await fsp.rm(jobDir(id), { recursive: true, force: true });
+    throw httpError(400, problem);
+  }
+
+  const job = { id, name, input, palette, quality, slices: slices.length, status: "queued", createdAt: new Date().toISOString() };
+  await saveJob(job);
+  jobs.set(id, job);
+  console.log(`  Job ${id} (${name}) queued: ${slices.length} slice(s)`);
+  startQueued();
+  return job;
+}
+
+async function outputFiles(job) {
+  const names = await fsp.readdir(path.join(jobDir(job.id), "output")).catch(() => []);
+  return names.filter((f) => CONTENT_TYPES[path.extname(f).toLowerCase()]).sort();
+}
+
+async function streamEvents(req, res, job) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  // Replay what the run has printed and reported so far, then follow it live
+  const log = await fsp.readFile(path.join(jobDir(job.id), "log.txt"), "utf-8").catch(() => "");
+  for (const line of log.split("\n").slice(0, -1)) res.write(`event: log\ndata: ${line}\n\n`);
+  const progress = await fsp.readFile(path.join(jobDir(job.id), "progress.jsonl"), "utf-8").catch(() => "");
+  for (const line of progress.split("\n").slice(0, -1)) res.write(`event: ${JSON.parse(line).type}\ndata: ${line}\n\n`);
+  res.write(`event: status\ndata: ${JSON.stringify(publicJob(job))}\n\n`);
+  if (!["queued", "running"].includes(job.status)) return res.end();
+
+  if (!subscribers.has(job.id)) subscribers.set(job.id, new Set());
+  subscribers.get(job.id).add(res);
+  req.on("close", () => subscribers.get(job.id)?.delete(res));
+}
+
+async function route(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  if (parts[0] !== "jobs") throw httpError(404, "Not found");
+
+  if (parts.length === 1) {
+    if (req.method === "POST") return sendJson(res, 201, publicJob(await createJob(req, url.searchParams)));
+    if (req.method === "GET") {
+      const list = [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return sendJson(res, 200, list.map(publicJob));
+    }
+    throw httpError(405, "Method not allowed");
+  }
+
+  if (req.method !== "GET") throw httpError(405, "Method not allowed");
+  const job = jobs.get(parts[1]);
+  if (!job) throw httpError(404, `No job ${parts[1]}`);
+
+  if (parts.length === 2) return sendJson(res, 200, publicJob(job));
+  if (parts.length === 3 && parts[2] === "events") return streamEvents(req, res, job);
+  if (parts[2] === "output" && parts.length === 3) return sendJson(res, 200, await outputFiles(job));
+  if (parts[2] === "output" && parts.length === 4) {
+    if (!(await outputFiles(job)).includes(parts[3])) throw httpError(404, `No output slice ${parts[3]}`);
+    const data = await fsp.readFile(path.join(jobDir(job.id), "output", parts[3]));
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(parts[3]).toLowerCase()] });
+    return res.end(data);
+  }
+  if (parts[2] === "output.zip" && parts.length === 3) {
+    const names = await outputFiles(job);
+    if (names.length === 0) throw httpError(404, `Job ${job.id} has no output yet`);
+    const entries = await Promise.all(names.map(async (name) => ({ name, data: await fsp.readFile(path.join(jobDir(job.id), "output", name)) })));
+    res.writeHead(200, { "Content-Type": "application/zip", "Content-Disposition": `attachment; filename="${job.name}.zip"` });
+    return res.end(writeZip(entries));
+  }
+  throw httpError(404, "Not found");
+}
+
+// node colorizer.js serve
+export async function serveCommand() {
+  await loadJobs();
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      if (!err.status) console.error(`  ${req.method} ${req.url}: ${err.message}`);
+      if (res.headersSent) return res.end();
+      sendJson(res, err.status || 500, { error: err.message }, err.close ? { Connection: "close" } : {});
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", (err) => reject(err.code === "EADDRINUSE" ? configError(`Port ${SERVER_PORT} is already in use (set SERVER_PORT)`) : err));
+    server.listen(SERVER_PORT, SERVER_HOST, resolve);
+  });
+  const queued = [...jobs.values()].filter((j) => j.status === "queued").length;
+  console.log(`Job server on http://${SERVER_HOST}:${SERVER_PORT} — jobs in ${JOBS_DIR}, ${JOB_CONCURRENCY} at a time${queued ? `, ${queued} queued from before` : ""}`);
+  console.log("Press Ctrl+C to stop.");
+  startQueued();
+
+  // Running jobs are marked as such in job.json, so they start over on the
+  // next launch
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  stopping = true;
+  console.log(`\nStopping${running ? ` — ${running} running job(s) will restart next time` : ""}.`);
+  for (const child of children) child.kill("SIGINT");
+  server.close();
+  server.closeAllConnections();
+  return { exitCode: EXIT.OK };
+}
@@ -0,0 +1,175 @@
+import { spawn } from "node:child_process";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { writeAtomic } from "./cache.js";
+import { readZip, writeZip } from "./zip.js";
+
+// ── Input sources ──────────────────────────────────────────────────────────
+// The input slices of a chapter come from one of:
+//
+//   a directory   loose .png / .jpg / .webp files, ordered by the trailing
+//                 number in each name (..._012.png is slice 12)
+//   .cbz / .zip   an archive of images in natural-sort order of their paths
+//                 ("page2" before "page10"); slices are numbered 1, 2, ...
+//   .pdf          pages rasterised with pdftoppm (poppler), numbered 1, 2, ...
+//
+// Every source resolves to slices shaped { file, key, idx, ext }: `file` is
+// a path or an image buffer (sharp reads both), key + idx + ext name the
+// output slice.
+
+const IMAGE_FILE = /\.(png|jpe?g|webp)$/i;
+
+const naturalOrder = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+export function parseName(filename) {
+  const base = path.basename(filename);
+  const m = base.match(/^(.*?)(\d+)(\.[^.]+)$/);
+  if (!m) return { key: base, idx: 0, ext: ".png" };
+  return { key: m[1], idx: Number(m[2]), ext: m[3] };
+}
+
+export function sourceKind(input) {
+  if (/\.(cbz|zip)$/i.test(input)) return "archive";
+  if (/\.pdf$/i.test(input)) return "pdf";
+  return "directory";
+}
+
+// "chapters/ch01.cbz" → "ch01"
+export function sourceName(input) {
+  return path.basename(path.resolve(input), path.extname(input));
+}
+
+// Resolves to { slices, comicInfo } — comicInfo is the ComicInfo.xml text of
+// an archive that has one, else null. Missing inputs reject with ENOENT.
+export async function readSource(input, { pdfDpi = 150 } = {}) {
+  switch (sourceKind(input)) {
+    case "archive": return readArchive(input);
+    case "pdf": return { slices: await rasterisePdf(input, pdfDpi), comicInfo: null };
+    default: return { slices: await readDirectory(input), comicInfo: null };
+  }
+}
+
+async function readDirectory(dir) {
+  const files = await fsp.readdir(dir);
+  return files
+    .filter((f) => IMAGE_FILE.test(f))
+    .sort(naturalOrder)
+    .map((f) => ({ file: path.join(dir, f), ...parseName(f) }))
+    .sort((a, b) => a.idx - b.idx);
+}
+
+// Slices 1, 2, ... of one input file, named after it ("ch01_001.png")
+export function numbered(input, buffers, exts) {
+  const key = `${sourceName(input)}_`;
+  return buffers.map((file, i) => ({ file, key, idx: i + 1, ext: exts[i] }));
+}
+
+async function readArchive(file) {
+  let entries;
+  try {
+    entries = readZip(await fsp.readFile(file));
+  } catch (err) {
+    if (err.code === "ENOENT") throw err;
+    throw new Error(`Cannot read archive ${file}: ${err.message}`);
+  }
+  // Skip macOS resource forks and other hidden files
+  const visible = entries.filter((e) => !e.name.split("/").some((part) => part.startsWith(".") || part === "__MACOSX"));
+  const pages = visible.filter((e) => IMAGE_FILE.test(e.name)).sort((a, b) => naturalOrder(a.name, b.name));
+  const info = visible.find((e) => path.posix.basename(e.name).toLowerCase() === "comicinfo.xml");
+  return {
+    slices: numbered(file, pages.map((e) => e.data), pages.map((e) => path.extname(e.name).toLowerCase())),
+    comicInfo: info ? info.data.toString("utf8") : null,
+  };
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (d) => (stderr += d));
+    child.on("error", reject);
+    child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(stderr.trim() || `${command} exited with code ${code}`))));
+  });
+}
+
+async function rasterisePdf(file, dpi) {
+  await fsp.access(file);
+  const tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "colorizer-pdf-"));
+  try {
+    try {
+      await run("pdftoppm", ["-r", String(dpi), "-png", file, path.join(tmp, "page")]);
+    } catch (err) {
+      if (err.code === "ENOENT") throw new Error("PDF input needs pdftoppm (poppler-utils) on the PATH");
+      throw new Error(`Cannot rasterise ${file}: ${err.message}`);
+    }
+    const pages = (await fsp.readdir(tmp)).filter((f) => f.endsWith(".png")).sort(naturalOrder);
+    const buffers = await Promise.all(pages.map((f) => fsp.readFile(path.join(tmp, f))));
+    return numbered(file, buffers, pages.map(() => ".png"));
+  } finally {
+    await fsp.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+// ── CBZ output ─────────────────────────────────────────────────────────────
+// The saved slices as pages of a CBZ, with a ComicInfo.xml (the de facto
+// comic metadata file read by Komga, Kavita, Tachiyomi and others). Fields
+// of the input archive's ComicInfo.xml carry over; the page list is always
+// rebuilt, since re-slicing can change the page count.
+
+// In ComicInfo schema order — the schema is a sequence, and strict readers
+// check it. Notes and PageCount are always ours.
+const FIELD_ORDER = [
+  "Title", "Series", "Number", "Count", "Volume", "Summary", "Notes", "Year", "Month", "Day",
+  "Writer", "Penciller", "Inker", "Letterer", "Translator", "Publisher", "Genre", "Tags",
+  "Web", "PageCount", "LanguageISO", "Manga", "AgeRating",
+];
+const OWN_FIELDS = ["Notes", "PageCount"];
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+// Simple <Field>text</Field> elements of an existing ComicInfo.xml, still escaped
+function carriedFields(xml) {
+  const fields = {};
+  for (const name of FIELD_ORDER.filter((f) => !OWN_FIELDS.includes(f))) {
+    const m = xml?.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+    if (m) fields[name] = m[1];
+  }
+  return fields;
+}
+
+// pages: [{ data }]; info: { title, series, notes, source (ComicInfo.xml text) }
+export async function comicInfoXml(pages, { title, series, notes, source } = {}) {
+  const fields = carriedFields(source);
+  if (!fields.Title && title) fields.Title = escapeXml(title);
+  if (!fields.Series && series) fields.Series = escapeXml(series);
+  fields.Notes = escapeXml(notes);
+  fields.PageCount = String(pages.length);
+
+  const pageLines = [];
+  for (let i = 0; i < pages.length; i++) {
+    const { width, height } = await sharp(pages[i].data).metadata();
+    pageLines.push(`    <Page Image="${i}" ImageSize="${pages[i].data.length}" ImageWidth="${width}" ImageHeight="${height}"${i === 0 ? ' Type="FrontCover"' : ""} />`);
+  }
+
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+    ...FIELD_ORDER.filter((k) => fields[k] !== undefined).map((k) => `  <${k}>${fields[k]}</${k}>`),
+    `  <Pages>`,
+    ...pageLines,
+    `  </Pages>`,
+    `</ComicInfo>`,
+    "",
+  ].join("\n");
+}
+
+// pages: [{ name, data }] in reading order
+export async function writeCbz(file, pages, info) {
+  const xml = await comicInfoXml(pages, info);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await writeAtomic(file, writeZip([...pages, { name: "ComicInfo.xml", data: Buffer.from(xml, "utf8") }]));
+}
@@ -0,0 +1,173 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { format } from "node:util";
+import { isOwnTempFile } from "./cache.js";
+import { resolvePalette } from "./palettes.js";
+import { EXIT, colorizeChapter } from "./pipeline.js";
+import { sourceKind } from "./sources.js";
+
+// ── Watch mode ─────────────────────────────────────────────────────────────
+// node colorizer.js watch — keeps colorizing the input as slices land in it,
+// for a scanner or downloader that drops a chapter in a page at a time.
+//
+// The input is polled every WATCH_INTERVAL ms. Once it has changed and then
+// stayed the same for WATCH_SETTLE ms (the batch has finished copying), the
+// strip is stitched and split again. Segments whose pixels, scene notes and
+// prompt match the previous pass reuse that pass's result with no API call,
+// so only the segments around a new or edited slice are colorized, and a
+// palette edit colorizes them all again. Output
+// slices are rewritten in place, and only when their bytes changed.
+//
+// Everything printed also goes to WATCH_LOG with a timestamp. A pass that
+// fails, or leaves segments B&W because their API calls failed, is logged
+// and tried again WATCH_SETTLE ms later (over-budget segments are not —
+// a retry would spend the budget again). Ctrl+C lets a running pass finish (a
+// second one quits at once); slices are written atomically either way, so
+// the output folder never holds half-written files.
+
+const WATCH_INTERVAL = Number(process.env.WATCH_INTERVAL) || 2000;
+const WATCH_SETTLE = Number(process.env.WATCH_SETTLE) || 5000;
+const WATCH_LOG = process.env.WATCH_LOG || "./watch.log";
+const PALETTE_DIR = path.join(".", "palettes");
+
+// Name, size and mtime of everything a pass reads, or null if the input
+// isn't there (yet): the slices (or the archive or PDF), the scenes file and
+// the palette with every palette it extends.
+async function inputSignature({ inputDir, scenesFile, palette }) {
+  const files = [];
+  if (sourceKind(inputDir) === "directory") {
+    const names = await fsp.readdir(inputDir).catch(() => null);
+    if (!names) return null;
+    files.push(...names.sort().map((f) => path.join(inputDir, f)));
+  } else {
+    files.push(inputDir);
+  }
+  if (!files.includes(scenesFile)) files.push(scenesFile);
+  files.push(...(await paletteChain(palette)).map((name) => path.join(PALETTE_DIR, `${name}.json`)));
+
+  const parts = [];
+  for (const file of files) {
+    const st = await fsp.stat(file).catch(() => null);
+    if (st?.isFile()) parts.push(`${file}:${st.size}:${st.mtimeMs}`);
+    else if (file === inputDir) return null;
+  }
+  return parts.join("\n");
+}
+
+// The palette and the palettes it extends. One that doesn't load (mid-edit)
+// is watched on its own; the pass reports the problem.
+async function paletteChain(name) {
+  try {
+    return (await resolvePalette(PALETTE_DIR, name)).chain;
+  } catch {
+    return [name];
+  }
+}
+
+// Copy console output into the log file, each line stamped with the time
+function teeConsole(file) {
+  const log = fs.createWriteStream(file, { flags: "a" });
+  for (const method of ["log", "warn", "error"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      original(...args);
+      const stamp = new Date().toISOString();
+      const text = format(...args).replace(/^\n+/, "");
+      log.write(text.split("\n").map((line) => `${stamp} ${line}`).join("\n") + "\n");
+    };
+  }
+  return log;
+}
+
+// Temp files of atomic writes this process had in flight
+function removeTempFiles({ outputDir, cacheDir, outputCbz }) {
+  const dirs = [outputDir, cacheDir];
+  if (outputCbz) dirs.push(path.dirname(outputCbz));
+  for (const dir of dirs) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      continue;
+    }
+    for (const f of names) if (isOwnTempFile(f)) fs.rmSync(path.join(dir, f), { force: true });
+  }
+}
+
+export async function watchCommand(cfg) {
+  const log = teeConsole(WATCH_LOG);
+  console.log(`Watching ${cfg.inputDir} → ${cfg.outputDir} (poll ${WATCH_INTERVAL}ms, settle ${WATCH_SETTLE}ms, log ${WATCH_LOG})`);
+  console.log("Press Ctrl+C to stop.");
+
+  let stopping = false;
+  let busy = false;
+  let wake = null;
+  const onSigint = () => {
+    if (stopping) {
+      console.warn("\nStopping now.");
+      removeTempFiles(cfg);
+      process.exit(EXIT.ERROR);
+    }
+    stopping = true;
+    console.log(busy ? "\nStopping after this pass — press Ctrl+C again to quit now." : "\nStopping.");
+    wake?.();
+  };
+  process.on("SIGINT", onSigint);
+
+  let reuse = new Map();
+  let processed = null;  // signature of the input at the last pass
+  let seen;              // latest signature, and when it last changed
+  let changedAt = 0;     // 0: whatever is there at startup is processed at once
+  let pass = 0;
+
+  try {
+    while (!stopping) {
+      const signature = await inputSignature(cfg);
+      if (signature !== seen) {
+        if (signature === null) console.log(`Waiting for ${cfg.inputDir} to appear...`);
+        else if (seen !== undefined && seen === processed) console.log("Input changed — waiting for it to settle...");
+        if (seen !== undefined) changedAt = Date.now();
+        seen = signature;
+      }
+
+      if (signature !== null && signature !== processed && Date.now() - changedAt >= WATCH_SETTLE) {
+        pass++;
+        console.log(`\n━━ Pass ${pass} ━━`);
+        busy = true;
+        let retry = true;
+        try {
+          const result = await colorizeChapter({ ...cfg, dryRun: false, reuse, logger: console });
+          reuse = result.outputs;
+          retry = result.failed.length > 0;
+        } catch (err) {
+          console.error(`Pass ${pass} failed: ${err.message}`);
+        } finally {
+          busy = false;
+        }
+        if (retry) {
+          changedAt = Date.now();
+          console.log(`\nPass ${pass} incomplete — retrying in ${WATCH_SETTLE}ms...`);
+        } else {
+          processed = signature;
+          console.log(`\nPass ${pass} done — watching for changes...`);
+        }
+        continue;
+      }
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, WATCH_INTERVAL);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
+    }
+  } finally {
+    process.off("SIGINT", onSigint);
+    console.log(`Stopped after ${pass} pass(es).`);
+    await new Promise((resolve) => log.end(resolve));
+  }
+  return { exitCode: EXIT.OK };
+}
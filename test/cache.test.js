@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { invalidateCache } from "../lib/cache.js";
+import { editEntry, loadStore, saveStore } from "../lib/context.js";
+import { colorizeChapter } from "../lib/index.js";
+import { removeDir, scratchDir, slice, writeSlices } from "./helpers.js";
+
+describe("segment cache", () => {
+  let dir;
+  before(async () => {
+    dir = await scratchDir();
+    await writeSlices(path.join(dir, "input"), await Promise.all([0, 1, 2].map((seed) => slice({ seed }))));
+  });
+  after(() => removeDir(dir));
+
+  const run = (options = {}) => colorizeChapter({
+    backend: "stub",
+    inputDir: path.join(dir, "input"),
+    outputDir: path.join(dir, "output"),
+    cacheDir: path.join(dir, "cache"),
+    ledgerFile: path.join(dir, "ledger.jsonl"),
+    logger: null,
+    ...options,
+  });
+
+  test("a second run is served from the cache", async () => {
+    const first = await run();
+    assert.equal(first.apiCalls, 3);
+    assert.equal(first.cacheHits, 0);
+    const second = await run();
+    assert.equal(second.apiCalls, 0);
+    assert.equal(second.cacheHits, 3);
+  });
+
+  test("an edited slice re-colorizes only its own segment", async () => {
+    await writeSlices(path.join(dir, "input"), await Promise.all([0, 5, 2].map((seed) => slice({ seed }))));
+    const result = await run();
+    assert.equal(result.apiCalls, 1);
+    assert.equal(result.cacheHits, 2);
+  });
+
+  test("learned context doesn't invalidate entries", async () => {
+    const file = path.join(dir, "palettes", "intro_context.json");
+    const store = await loadStore(file);
+    editEntry(store, "shop walls", "#F3DFB3", "warm cream-beige");
+    await saveStore(file, store);
+    const result = await run();
+    assert.equal(result.apiCalls, 0);
+    assert.equal(result.cacheHits, 3);
+  });
+
+  test("settings that feed the request do", async () => {
+    assert.equal((await run({ quality: "low" })).apiCalls, 3);
+    assert.equal((await run({ promptNotes: "night scenes" })).apiCalls, 3);
+  });
+
+  test("invalidated entries are re-requested", async () => {
+    const removed = await invalidateCache(path.join(dir, "cache"), { segment: 3, inputDir: path.join(dir, "input") });
+    assert.ok(removed > 0);
+    const result = await run();
+    assert.equal(result.apiCalls, 1);
+    assert.equal(result.cacheHits, 2);
+  });
+});
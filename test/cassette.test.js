@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { cassetteClient } from "../lib/cassette.js";
+import { colorizeChapter } from "../lib/index.js";
+import { withLogger } from "../lib/log.js";
+import { fakeResponsesApi, removeDir, scratchDir, slice, writeSlices } from "./helpers.js";
+
+function request(text, image = "data:image/png;base64,AAAA") {
+  return {
+    model: "gpt-5.2",
+    input: [{ role: "user", content: [{ type: "input_image", image_url: image }, { type: "input_text", text }] }],
+  };
+}
+
+describe("cassetteClient", () => {
+  let dir;
+  before(async () => { dir = await scratchDir(); });
+  after(() => removeDir(dir));
+
+  test("replays a recorded call without the real client", async () => {
+    const cassettes = path.join(dir, "unit");
+    let real = 0;
+    const client = { responses: { create: async () => ({ output: [{ n: ++real }] }) } };
+    const recorded = await cassetteClient(() => client, { mode: "record", dir: cassettes }).responses.create(request("colorize"));
+    assert.equal((await fsp.readdir(cassettes)).length, 1);
+
+    const replayer = cassetteClient(() => { throw new Error("replay must not open a client"); }, { mode: "replay", dir: cassettes });
+    assert.deepEqual(await replayer.responses.create(request("colorize")), recorded);
+    assert.equal(real, 1);
+  });
+
+  test("fails on a changed prompt unless matchImages is set", async () => {
+    const cassettes = path.join(dir, "unit");
+    const strict = cassetteClient(() => null, { mode: "replay", dir: cassettes });
+    await assert.rejects(strict.responses.create(request("colorize, with a correction note")), /No recorded response/);
+
+    const loose = cassetteClient(() => null, { mode: "replay", dir: cassettes, matchImages: true });
+    const fallback = await withLogger(null, () => loose.responses.create(request("colorize, with a correction note")));
+    assert.deepEqual(fallback, { output: [{ n: 1 }] });
+    await assert.rejects(loose.responses.create(request("colorize", "data:image/png;base64,BBBB")), /No recorded response/);
+  });
+});
+
+describe("record, then replay a chapter", () => {
+  let dir;
+  let api;
+  before(async () => {
+    dir = await scratchDir();
+    api = await fakeResponsesApi();
+    process.env.OPENAI_BASE_URL = api.url;
+    await writeSlices(path.join(dir, "input"), await Promise.all([0, 1, 2].map((seed) => slice({ seed }))));
+  });
+  after(async () => {
+    delete process.env.OPENAI_BASE_URL;
+    await api.close();
+    await removeDir(dir);
+  });
+
+  const run = (mode, outputDir) => colorizeChapter({
+    backend: "responses",
+    openaiApiKey: mode === "record" ? "sk-test" : "",
+    inputDir: path.join(dir, "input"),
+    outputDir: path.join(dir, outputDir),
+    cassetteMode: mode,
+    cassetteDir: path.join(dir, "cassettes"),
+    ledgerFile: path.join(dir, "ledger.jsonl"),
+    concurrency: 1,
+    logger: null,
+  });
+
+  test("replay sends the recorded prompts and reproduces every segment", async () => {
+    const recorded = await run("record", "recorded");
+    assert.deepEqual(recorded.failed, []);
+    assert.ok(api.calls.length > 0);
+    // Learned context would change the replayed prompts
+    assert.ok(api.calls.every((c) => c.tools?.length), "a cassette run makes no context-capture calls");
+    await assert.rejects(fsp.access(path.join(dir, "palettes", "intro_context.json")));
+
+    await api.close();
+    const calls = api.calls.length;
+    const replayed = await run("replay", "replayed");
+    assert.deepEqual(replayed.failed, []);
+    assert.equal(api.calls.length, calls);
+    assert.equal(replayed.files.length, recorded.files.length);
+    for (let i = 0; i < recorded.files.length; i++) {
+      assert.ok((await fsp.readFile(recorded.files[i])).equals(await fsp.readFile(replayed.files[i])), `slice ${i + 1} differs`);
+    }
+  });
+});
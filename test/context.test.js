@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { editEntry, elementKey, findEntry, isFlagged, loadStore, observe, promptEntries } from "../lib/context.js";
+
+const source = { input: "ch01", segment: 1 };
+
+describe("learned context voting", () => {
+  test("matches element names loosely", () => {
+    assert.equal(elementKey("Shop walls/ceiling (back room)"), "shop wall ceiling");
+    const store = { entries: [] };
+    observe(store, ["shop walls: warm cream (#F3DFB3)"], source);
+    assert.equal(findEntry(store, "the shop wall"), store.entries[0]);
+    assert.equal(findEntry(store, "floor tiles"), null);
+  });
+
+  test("confirms near-identical colors and flags a tie", () => {
+    const store = { entries: [] };
+    const counts = observe(store, [
+      "floor tiles: warm beige (#D6B06A)",
+      "floor tiles: beige (#D8B26C)",
+      "floor tiles: gray (#808890)",
+      "floor tiles: cool gray (#7E8690)",
+    ], source);
+    assert.deepEqual(counts, { added: 1, confirmed: 1, replaced: 0, flagged: 1, outvoted: 1, ignored: 0 });
+    const [entry] = store.entries;
+    assert.equal(entry.seen, 2);
+    assert.equal(entry.alternatives[0].seen, 2);
+    assert.ok(isFlagged(entry));
+    assert.deepEqual(promptEntries(store, 10), []);
+  });
+
+  test("an alternative with the majority replaces the color", () => {
+    const store = { entries: [] };
+    const counts = observe(store, [
+      "door: red (#C21D1D)",
+      "door: green (#2E7D32)",
+      "door: green (#2E7D32)",
+    ], source);
+    assert.equal(counts.replaced, 1);
+    const [entry] = store.entries;
+    assert.equal(entry.color, "#2E7D32");
+    assert.equal(entry.confidence, 0.67);
+    assert.deepEqual(entry.alternatives.map((a) => a.color), ["#C21D1D"]);
+    assert.deepEqual(promptEntries(store, 10), [entry]);
+  });
+
+  test("pinned entries ignore observations", () => {
+    const store = { entries: [] };
+    editEntry(store, "sky", "#87CEEB", "light blue");
+    const counts = observe(store, ["sky: orange (#FF8C00)", "sky: orange (#FF8C00)"], source);
+    assert.equal(counts.ignored, 2);
+    assert.equal(store.entries[0].color, "#87CEEB");
+    assert.equal(store.entries[0].confidence, 1);
+  });
+});
+
+describe("loadStore", () => {
+  test("migrates the old list format, collapsing duplicates into votes", async () => {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "colorizer-context-"));
+    try {
+      const file = path.join(dir, "intro_context.json");
+      await fsp.writeFile(file, JSON.stringify({
+        learned: ["shop walls: cream (#F3DFB3)", "Shop wall: cream (#F2DEB2)", "floor: gray (#808080)", "not an observation"],
+      }));
+      const store = await loadStore(file);
+      assert.equal(store.version, 2);
+      assert.deepEqual(store.entries.map((e) => [e.key, e.seen]), [["shop wall", 2], ["floor", 1]]);
+      assert.deepEqual(store.entries[0].source, { migrated: true });
+
+      assert.deepEqual(await loadStore(path.join(dir, "missing.json")), { version: 2, entries: [] });
+      await fsp.writeFile(file, "{ not json");
+      await assert.rejects(loadStore(file), /is not valid JSON/);
+      // Read errors other than a missing file come through as they are
+      await assert.rejects(loadStore(dir), { code: "EISDIR" });
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import fsp from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+
+// ── Test helpers ───────────────────────────────────────────────────────────
+// Synthetic webtoon slices, scratch directories and a local stand-in for
+// the Responses API, so the pipeline runs end to end with no network.
+
+export const REPO = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// A fresh directory with a copy of the built-in palettes (no learned
+// context), made the working directory: the pipeline reads ./palettes
+export async function scratchDir() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "colorizer-test-"));
+  await fsp.mkdir(path.join(dir, "palettes"));
+  for (const name of ["intro.json", "games.json"]) {
+    await fsp.copyFile(path.join(REPO, "palettes", name), path.join(dir, "palettes", name));
+  }
+  process.chdir(dir);
+  return dir;
+}
+
+export async function removeDir(dir) {
+  process.chdir(REPO);
+  await fsp.rm(dir, { recursive: true, force: true });
+}
+
+// One slice: a framed white panel with some line art between `gutter` bands
+// (gutterH rows above and below). A gutter of null fills the whole slice
+// with the panel.
+export function slice({ width = 300, height = 400, gutter = "#000000", gutterH = 60, seed = 0 } = {}) {
+  const top = gutter ? gutterH : 0;
+  const panelH = height - 2 * top;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="${width}" height="${height}" fill="${gutter || "#FFFFFF"}"/>
+    <rect x="2" y="${top + 2}" width="${width - 4}" height="${panelH - 4}" fill="#FFFFFF" stroke="#000000" stroke-width="4"/>
+    <circle cx="${width / 2 + seed * 10}" cy="${top + panelH / 2}" r="${Math.min(width, panelH) / 4}" fill="none" stroke="#000000" stroke-width="6"/>
+    <rect x="20" y="${top + 20}" width="${width / 3}" height="${panelH / 4}" fill="#808080" stroke="#000000" stroke-width="4"/>
+  </svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Write slices as <dir>/ch_001.png, ch_002.png, ...
+export async function writeSlices(dir, buffers) {
+  await fsp.mkdir(dir, { recursive: true });
+  const files = [];
+  for (let i = 0; i < buffers.length; i++) {
+    const file = path.join(dir, `ch_${String(i + 1).padStart(3, "0")}.png`);
+    await fsp.writeFile(file, buffers[i]);
+    files.push(file);
+  }
+  return files;
+}
+
+// Solid-color RGB image
+export function solid(width, height, [r, g, b]) {
+  return sharp({ create: { width, height, channels: 3, background: { r, g, b } } }).png().toBuffer();
+}
+
+// A local Responses API. Colorize calls (those with the image_generation
+// tool) get their first input image back; context-capture calls get a
+// one-color JSON list. Point the OpenAI SDK at it with OPENAI_BASE_URL.
+export async function fakeResponsesApi() {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const params = JSON.parse(body);
+      calls.push(params);
+      const content = params.input[0].content;
+      const output = params.tools?.length
+        ? [{ type: "image_generation_call", id: `ig_${calls.length}`, status: "completed", result: content.find((c) => c.type === "input_image").image_url.split(",")[1] }]
+        : [{ type: "message", id: `msg_${calls.length}`, role: "assistant", content: [{ type: "output_text", text: `["brick wall (#A0522D)"]` }] }];
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({
+        id: `resp_${calls.length}`,
+        object: "response",
+        status: "completed",
+        output,
+        usage: { input_tokens: 100, output_tokens: 10, total_tokens: 110 },
+      }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { paletteColors, paletteSection, resolvePalette, validatePalette } from "../lib/palettes.js";
+import { REPO } from "./helpers.js";
+
+describe("validatePalette", () => {
+  test("accepts the built-in palettes", async () => {
+    for (const name of ["intro", "games"]) {
+      const data = JSON.parse(await fsp.readFile(path.join(REPO, "palettes", `${name}.json`), "utf-8"));
+      assert.deepEqual(validatePalette(data), [], name);
+    }
+  });
+
+  test("reports malformed colors, duplicate names and unknown fields", () => {
+    const problems = validatePalette({
+      version: 2,
+      name: "Broken",
+      characters: [
+        { name: "Mina", hair: "#12345", outfits: { default: { coat: "navy" } } },
+        { name: "Jun", aliases: ["mina"], eyes: "#3B2A1A", height: "tall" },
+      ],
+      objects: [{ name: "Car" }],
+    });
+    assert.deepEqual(problems, [
+      `characters[0] (Mina).hair: "#12345" is not a #RRGGBB color, optionally after color words ("blonde #D4A84B")`,
+      `characters[0] (Mina).outfits.default.coat: "navy" is not a #RRGGBB color`,
+      `characters[1] (Jun): unknown field "height"`,
+      `characters[1] (Jun): duplicate name "mina" (also used by characters[0] (Mina))`,
+      `objects[0] (Car): "colors" is required`,
+    ]);
+  });
+
+  test("accepts color words before a slot color, and only there", () => {
+    const palette = (hair, colors) => ({ version: 2, name: "Words", characters: [{ name: "Mina", hair }], objects: [{ name: "Car", colors }] });
+    assert.deepEqual(validatePalette(palette("blonde #D4A84B", { "red body": "#C21D1D" })), []);
+    assert.equal(validatePalette(palette("blonde", { body: "#C21D1D" })).length, 1);
+    assert.equal(validatePalette(palette("#D4A84B", { body: "red #C21D1D" })).length, 1);
+  });
+
+  test("requires a supported version unless the palette uses the old format", () => {
+    assert.deepEqual(validatePalette({ name: "Old", characters: ["Hiro: black hair (#1A1A1A)"] }), []);
+    assert.match(validatePalette({ name: "New", characters: [{ name: "Hiro" }] })[0], /"version": 2 is required/);
+    assert.match(validatePalette({ version: 3, name: "Next" })[0], /unsupported "version": 3/);
+  });
+});
+
+describe("resolvePalette", () => {
+  let dir;
+  const write = (name, data) => fsp.writeFile(path.join(dir, `${name}.json`), JSON.stringify(data));
+
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), "colorizer-palettes-"));
+    await write("base", {
+      version: 2,
+      name: "Base",
+      skin: "#F1CBB5",
+      characters: [{ name: "Mina", hair: "black-brown #2B1B17", outfits: { default: { "navy coat": "#1F2A44" }, rain: { "yellow raincoat": "#E8C820" } } }],
+      objects: [{ name: "Car", colors: { body: "#FFFFFF" } }],
+    });
+    await write("sequel", {
+      version: 2,
+      name: "Sequel",
+      extends: "base",
+      characters: [
+        { name: "mina", aliases: ["the detective"], outfits: { default: { "navy coat": "#24304F" } } },
+        { name: "Jun", hair: "#1A1A1A" },
+      ],
+    });
+    await write("loop-a", { version: 2, name: "A", extends: "loop-b" });
+    await write("loop-b", { version: 2, name: "B", extends: "loop-a" });
+    await write("old", { name: "Old", characters: ["Hiro: black hair (#1A1A1A)"] });
+    await write("on-old", { version: 2, name: "On old", extends: "old" });
+  });
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  test("merges extended entries slot by slot and outfit by outfit", async () => {
+    const palette = await resolvePalette(dir, "sequel");
+    assert.deepEqual(palette.chain, ["sequel", "base"]);
+    assert.equal(palette.skin, "#F1CBB5");
+    assert.deepEqual(palette.characters.map((c) => c.name), ["mina", "Jun"]);
+    const [mina] = palette.characters;
+    assert.equal(mina.hair, "black-brown #2B1B17");
+    assert.deepEqual(mina.aliases, ["the detective"]);
+    assert.deepEqual(mina.outfits, { default: { "navy coat": "#24304F" }, rain: { "yellow raincoat": "#E8C820" } });
+    assert.deepEqual(palette.objects.map((o) => o.name), ["Car"]);
+    assert.ok(paletteColors(palette).some((c) => c.label === "mina yellow raincoat" && c.hex === "#E8C820"));
+    assert.match(paletteSection(palette), /- mina \(also: the detective\): black-brown hair \(#2B1B17\); usually: navy coat \(#24304F\)/);
+    assert.ok(paletteColors(palette).some((c) => c.label === "mina black-brown hair" && c.hex === "#2B1B17"));
+  });
+
+  test("reports inheritance cycles", async () => {
+    await assert.rejects(resolvePalette(dir, "loop-a"), /cycle: loop-a → loop-b → loop-a/);
+  });
+
+  test("loads old string palettes but won't extend them", async () => {
+    const old = await resolvePalette(dir, "old");
+    assert.equal(old.legacy, true);
+    assert.deepEqual(paletteColors(old).map((c) => c.hex), ["#FAE0D4", "#1A1A1A"]);
+    await assert.rejects(resolvePalette(dir, "on-old"), /convert it to "version": 2 first/);
+  });
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import sharp from "sharp";
+import { withLogger } from "../lib/log.js";
+import { detectSafeSplitPoints, reslice, resliceCommand, resolveConfig, stitchSlices } from "../lib/pipeline.js";
+import { removeDir, scratchDir, slice } from "./helpers.js";
+
+async function sizes(slices) {
+  const metas = await Promise.all(slices.map((s) => sharp(s).metadata()));
+  return metas.map((m) => `${m.width}x${m.height}`);
+}
+
+describe("reslice", () => {
+  let strip;
+  let gutters;
+  before(async () => {
+    // 300x1200, split points at rows 399 and 799
+    strip = await stitchSlices(await Promise.all([0, 1, 2].map((seed) => slice({ seed }))));
+    gutters = await detectSafeSplitPoints(strip.buffer);
+  });
+
+  const run = (mode, output, options = {}) => withLogger(null, () =>
+    reslice(strip.buffer, strip.width, strip.heights, gutters, { resliceMode: mode, output, ...options }));
+
+  test("fill stretches each original slice to the export size", async () => {
+    assert.deepEqual(await sizes(await run("fill", { width: 600, height: 800 })), ["600x800", "600x800", "600x800"]);
+  });
+
+  test("original keeps the input slice sizes", async () => {
+    assert.deepEqual(await sizes(await run("original", { width: 600, height: 800 })), ["300x400", "300x400", "300x400"]);
+  });
+
+  test("fixed cuts every export height, scaled to the export width", async () => {
+    assert.deepEqual(await sizes(await run("fixed", { width: 300, height: 500 })), ["300x500", "300x500", "300x200"]);
+    assert.deepEqual(await sizes(await run("fixed", { width: 600, height: 1000 })), ["600x1000", "600x1000", "600x400"]);
+  });
+
+  test("panel moves each cut to a gutter within the tolerance", async () => {
+    assert.deepEqual(await sizes(await run("panel", { width: 300, height: 500 })), ["300x399", "300x400", "300x401"]);
+    assert.deepEqual(
+      await sizes(await run("panel", { width: 300, height: 500 }, { resliceTolerance: 50 })),
+      ["300x500", "300x500", "300x200"]
+    );
+  });
+
+  test("rejects an unknown mode", async () => {
+    await assert.rejects(run("tiles", { width: 300, height: 500 }), /Unknown RESLICE_MODE "tiles"/);
+  });
+});
+
+describe("reslice command", () => {
+  let dir;
+  before(async () => { dir = await scratchDir(); });
+  after(() => removeDir(dir));
+
+  test("with no input slices, cuts every output height and names the slices after the strip", async () => {
+    const strip = await stitchSlices(await Promise.all([0, 1, 2].map((seed) => slice({ seed }))));
+    await fsp.writeFile(path.join(dir, "strip.png"), strip.buffer);
+    const cfg = resolveConfig({ inputDir: path.join(dir, "none"), outputDir: path.join(dir, "out"), outputWidth: 300, outputHeight: 500, resliceMode: "fixed" });
+    await withLogger(null, () => resliceCommand(cfg, path.join(dir, "strip.png")));
+    const names = (await fsp.readdir(path.join(dir, "out"))).sort();
+    assert.deepEqual(names, ["strip_001.png", "strip_002.png", "strip_003.png"]);
+    assert.deepEqual(await sizes(names.map((n) => path.join(dir, "out", n))), ["300x500", "300x500", "300x200"]);
+  });
+});
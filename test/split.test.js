@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import sharp from "sharp";
+import { detectSafeSplitPoints, isBlankSegment, resolveConfig, stitchSlices } from "../lib/pipeline.js";
+import { slice, solid } from "./helpers.js";
+
+// Three 300x400 slices, each a panel between 60-row gutters: the strip has
+// 120-row gutter bands between rows 340-459 and 740-859, plus 60-row bands
+// at either end
+async function strip(gutter) {
+  return stitchSlices(await Promise.all([0, 1, 2].map((seed) => slice({ gutter, seed }))));
+}
+
+// Split points between panels, leaving out the bands at either end
+const cuts = (points) => points.map((p) => p.midPoint).filter((y) => y > 100 && y < 1100);
+
+describe("detectSafeSplitPoints", () => {
+  test("finds black gutters by default", async () => {
+    const { buffer } = await strip("#000000");
+    assert.deepEqual(cuts(await detectSafeSplitPoints(buffer)), [399, 799]);
+  });
+
+  test("finds white gutters only when GUTTER_COLORS names them", async () => {
+    const { buffer } = await strip("#FFFFFF");
+    assert.deepEqual(cuts(await detectSafeSplitPoints(buffer)), []);
+    const points = await detectSafeSplitPoints(buffer, { gutterColors: "black,white" });
+    assert.deepEqual(cuts(points), [399, 799]);
+    assert.ok(points.every((p) => p.color === "white"));
+  });
+
+  test("finds a #hex gutter color within GUTTER_TOLERANCE", async () => {
+    const { buffer } = await strip("#3366CC");
+    assert.deepEqual(cuts(await detectSafeSplitPoints(buffer, { gutterColors: "#3A6AC8" })), [399, 799]);
+    assert.deepEqual(cuts(await detectSafeSplitPoints(buffer, { gutterColors: "#CC6633" })), []);
+    assert.deepEqual(cuts(await detectSafeSplitPoints(buffer, { gutterColors: "auto" })), [399, 799]);
+  });
+
+  test("ignores bands shorter than MIN_GAP_HEIGHT", async () => {
+    const { buffer } = await strip("#000000");
+    assert.deepEqual(cuts(await detectSafeSplitPoints(buffer, { minGapHeight: 200 })), []);
+  });
+});
+
+describe("isBlankSegment", () => {
+  const black = resolveConfig();
+  const white = resolveConfig({ gutterColors: "black,white" });
+
+  test("skips black segments", async () => {
+    assert.match(await isBlankSegment(await solid(300, 200, [0, 0, 0]), black), /^blank \(100% black\)/);
+  });
+
+  test("skips flat white only with white gutters configured", async () => {
+    const buf = await solid(300, 200, [255, 255, 255]);
+    assert.equal(await isBlankSegment(buf, black), false);
+    assert.match(await isBlankSegment(buf, white), /^blank \(100% white\)/);
+  });
+
+  test("skips a flat color only when it is a configured gutter color", async () => {
+    const buf = await solid(300, 200, [51, 102, 204]);
+    assert.equal(await isBlankSegment(buf, white), false);
+    assert.match(await isBlankSegment(buf, resolveConfig({ gutterColors: "#3366CC" })), /^blank \(100% flat #3366CC\)/);
+  });
+
+  test("keeps sparse line art on white", async () => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="400">
+      <rect width="300" height="400" fill="#FFFFFF"/>
+      <circle cx="150" cy="200" r="60" fill="none" stroke="#000000" stroke-width="2"/>
+    </svg>`;
+    const buf = await sharp(Buffer.from(svg)).png().toBuffer();
+    assert.equal(await isBlankSegment(buf, white), false);
+  });
+
+  test("skips text on black", async () => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200">
+      <rect width="300" height="200" fill="#000000"/>
+      <rect x="100" y="90" width="100" height="20" fill="#FFFFFF"/>
+    </svg>`;
+    const buf = await sharp(Buffer.from(svg)).png().toBuffer();
+    assert.match(await isBlankSegment(buf, black), /^text-on-black/);
+  });
+});